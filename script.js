@@ -6,15 +6,47 @@
 // V2 State Structure:
 // { activeTimelineId, timelines: [ { data: { holidays: [] } } ] }
 
-// V3 State Structure (Current):
+// V3 State Structure:
+// { activeTimelineId, globalHolidays: [], timelines: [...] } // Holidays shared across all timelines
+
+// V4 State Structure (Current):
 // {
 //   activeTimelineId: "uuid",
-//   globalHolidays: [], // Shared across all timelines
+//   activeCalendarId: "uuid", // Calendar being edited in Global Settings
+//   holidayCalendars: [
+//      { id: "uuid", name: "JP national",
+//        holidays: [{ date: "YYYY-MM-DD", name, source: 'jp' | 'custom' | 'ics' }],
+//        text: "..." } // Source of the 'custom' entries (see parseHolidayText)
+//   ],
+//   team: [ { id: "uuid", name, capacity: 100, // Capacity in % of a working day, shared by all timelines
+//             leave: [{ date: "YYYY-MM-DD", name }], leaveText: "..." } ], // Same text format as the holidays
 //   timelines: [
-//      { id: "uuid", name: "Sprint 1", data: { anchorDate, phases:[], ... } } // No holidays here
+//      { id: "uuid", name: "Sprint 1", data: { anchorDate, phases:[], workingWeek: [1,2,3,4,5], calendarIds: [],
+//          baselines: [], activeBaselineId,
+//          anchorRef?: { timelineId, phaseId, type }, // Anchor placed relative to another timeline's phase
+//          fitRange?: { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }, ... } } // Last period used by Fit to Period
 //   ]
 // }
 
+// Baseline (frozen copy of a computed schedule):
+// { id, name, createdAt, phases: { [phaseId]: { name, start: "YYYY-MM-DD", end: "YYYY-MM-DD" } } }
+
+// Phase:
+// { id, name, days, type?: 'milestone' | 'buffer', // Milestones have days: 0 and a single date, see Buffers
+//   durationUnit?: 'bd' | 'cd' | 'hd' | 'h', // Unit of `days` (omitted = business days), see Duration Units
+//   isParallel?, manualStartDate?, manualEndDate?,
+//   parallelRef?: { id, side: 'start' | 'end', edge: 'start' | 'end', offset }, // Parallel phase placed relative to another phase, see Relative Parallel Phases
+//   predecessors?: [{ id, type: 'FS' | 'SS' | 'FF' }], // Omitted = follows the previous phase in list order
+//   lag?: number, // Business days of wait (> 0) or overlap (< 0) on every incoming link, see Lag / Lead
+//   externalPredecessors?: [{ timelineId, id, type }], // Phases of other timelines
+//   status?: 'not-started' | 'in-progress' | 'done', percentComplete?: 0-100,
+//   actualStartDate?: "YYYY-MM-DD", actualEndDate?: "YYYY-MM-DD", // Actuals override the calculated dates
+//   assignees?: [{ personId, allocation: 100 }], // Allocation in % of a working day
+//   ownerId?, // Team member whose leave days the phase's duration skips
+//   constraint?: { type: 'SNET' | 'FNLT' | 'MSO' | 'MFO', date: "YYYY-MM-DD" }, // Checked, not enforced (see Date Constraints)
+//   minDays?, fitLocked?, // Lower bound / kept as is when durations are fitted to a period (see Fit to Period)
+//   parentId? } // Sub-phase of parentId (see Phase Hierarchy); folded parents are kept apart, see isPhaseCollapsed
+
 const defaultPhaseConfig = [
     { id: '1', name: 'リリース準備', days: 1 },
     { id: '2', name: '受入テスト', days: 3 },
@@ -31,20 +63,35 @@ const createDefaultTimelineData = () => ({
     anchorPhaseId: '1',
     anchorType: 'end',
     sortOrder: 'asc',
-    // Holidays removed from here
+    workingWeek: [...DEFAULT_WORKING_WEEK],
+    calendarIds: (appState.holidayCalendars || []).map(c => c.id),
+    baselines: [],
+    activeBaselineId: null,
     phases: JSON.parse(JSON.stringify(defaultPhaseConfig))
 });
 
+const createDefaultHolidayCalendars = () => ([
+    { id: 'jp', name: 'JP national', holidays: [], text: '' },
+    { id: 'company', name: 'Company', holidays: [], text: '' }
+]);
+
 let appState = {
     activeTimelineId: null,
-    globalHolidays: [],
+    activeCalendarId: null,
+    holidayCalendars: [],
+    team: [],
     timelines: []
 };
 
 // --- Storage & Migration ---
 
-function saveState() {
-    localStorage.setItem('scheduleAppState', JSON.stringify(appState));
+// historyKey: consecutive saves with the same key (e.g. typing into one field)
+// are merged into a single undo step
+function saveState(historyKey = null) {
+    const snapshot = JSON.stringify(appState);
+    recordHistory(snapshot, historyKey);
+    localStorage.setItem('scheduleAppState', snapshot);
+    updateHistoryButtons();
 }
 
 function loadState() {
@@ -56,7 +103,7 @@ function loadState() {
             const parsed = JSON.parse(rawNew);
 
             // Migration V2 -> V3 (Lift holidays to global)
-            if (!parsed.globalHolidays && parsed.timelines) {
+            if (!parsed.globalHolidays && !parsed.holidayCalendars && parsed.timelines) {
                 // Take holidays from the first timeline if available
                 const firstWithHolidays = parsed.timelines.find(t => t.data && t.data.holidays && t.data.holidays.length > 0);
                 parsed.globalHolidays = firstWithHolidays ? firstWithHolidays.data.holidays : [];
@@ -67,16 +114,27 @@ function loadState() {
                 });
             }
 
+            // Migration V3 -> V4 (Split global holidays into calendars, all enabled everywhere)
+            if (!parsed.holidayCalendars) {
+                parsed.holidayCalendars = migrateGlobalHolidays(parsed.globalHolidays || [], parsed.customHolidayText);
+                delete parsed.globalHolidays;
+                delete parsed.customHolidayText;
+            }
+
             appState = parsed;
             if (!appState.timelines || !Array.isArray(appState.timelines)) throw new Error("Invalid structure");
-            if (!appState.globalHolidays) appState.globalHolidays = [];
+            if (!appState.holidayCalendars.length) appState.holidayCalendars = createDefaultHolidayCalendars();
+            if (!getActiveHolidayCalendar()) appState.activeCalendarId = appState.holidayCalendars[0].id;
+            if (!Array.isArray(appState.team)) appState.team = [];
+            appState.timelines.forEach(t => validateTimelineData(t.data));
+            migrateCollapsedPhases();
 
         } catch (e) {
             console.error("Failed to parse app state, resetting.", e);
             resetToDefault();
         }
     } else if (rawOld) {
-        // Migrate V1 -> V3
+        // Migrate V1 -> V4
         try {
             const oldData = JSON.parse(rawOld);
             const newId = Date.now().toString();
@@ -84,9 +142,12 @@ function loadState() {
             const holidays = oldData.holidays || [];
             if (oldData.holidays) delete oldData.holidays; // Remove from data object
 
+            const holidayCalendars = migrateGlobalHolidays(holidays);
             appState = {
                 activeTimelineId: newId,
-                globalHolidays: holidays,
+                activeCalendarId: holidayCalendars[0].id,
+                holidayCalendars: holidayCalendars,
+                team: [],
                 timelines: [
                     {
                         id: newId,
@@ -104,21 +165,27 @@ function loadState() {
     } else {
         resetToDefault();
     }
+
+    loadHistory();
+    lastSnapshot = JSON.stringify(appState);
+    lastEditState = serializeEditState();
 }
 
 function resetToDefault() {
     const id = Date.now().toString();
+    const holidayCalendars = createDefaultHolidayCalendars();
     appState = {
         activeTimelineId: id,
-        globalHolidays: [],
-        timelines: [
-            {
-                id: id,
-                name: 'Sprint 1',
-                data: createDefaultTimelineData()
-            }
-        ]
+        activeCalendarId: holidayCalendars[0].id,
+        holidayCalendars: holidayCalendars,
+        team: [],
+        timelines: []
     };
+    appState.timelines.push({
+        id: id,
+        name: 'Sprint 1',
+        data: createDefaultTimelineData()
+    });
     saveState();
 }
 
@@ -127,6 +194,150 @@ function validateTimelineData(data) {
     // Holidays no longer checked here
     if (!data.anchorType) data.anchorType = 'end';
     if (!data.sortOrder) data.sortOrder = 'asc';
+    if (!Array.isArray(data.workingWeek) || !data.workingWeek.length) data.workingWeek = [...DEFAULT_WORKING_WEEK];
+    if (!Array.isArray(data.calendarIds)) data.calendarIds = appState.holidayCalendars.map(c => c.id);
+    if (!Array.isArray(data.baselines)) data.baselines = [];
+    if (!(data.hoursPerDay > 0)) data.hoursPerDay = DEFAULT_HOURS_PER_DAY;
+    normalizePhaseTree(data);
+    if (!data.baselines.some(b => b.id === data.activeBaselineId)) data.activeBaselineId = null;
+}
+
+// Holidays used to be plain "YYYY-MM-DD" strings (V3 and earlier)
+function normalizeHolidayEntries(list) {
+    return list.map(h => typeof h === 'string' ? { date: h, name: '', source: 'custom' } : h);
+}
+
+// V3 global holidays -> "JP national" (generated) + "Company" (typed in)
+function migrateGlobalHolidays(globalHolidays, customText) {
+    const holidays = normalizeHolidayEntries(globalHolidays);
+    const [jp, company] = createDefaultHolidayCalendars();
+    jp.holidays = holidays.filter(h => h.source === 'jp');
+    company.holidays = holidays.filter(h => h.source !== 'jp');
+    company.text = typeof customText === 'string' ? customText : formatHolidayText(company.holidays);
+    return [jp, company];
+}
+
+function getActiveHolidayCalendar() {
+    return appState.holidayCalendars.find(c => c.id === appState.activeCalendarId);
+}
+
+// --- Undo / Redo ---
+// Every saveState records the previous state as an undo step. Steps are whole-state
+// snapshots (including which timeline was active, so undo returns to where the edit was),
+// persisted next to the state so they survive a reload.
+
+const HISTORY_STORAGE_KEY = 'scheduleAppHistory';
+const HISTORY_LIMIT = 50;
+// Characters of all steps together: every save rewrites them, and localStorage (about 5M characters
+// per origin) also holds the state itself
+const HISTORY_MAX_CHARS = 2000000;
+const HISTORY_MERGE_MS = 1000;
+
+let undoStack = [];
+let redoStack = [];
+let lastSnapshot = null;
+let lastEditState = null;
+let lastHistoryKey = null;
+let lastHistoryTime = 0;
+
+// appState without the selection (which timeline / calendar is shown): switching is not an edit
+function serializeEditState() {
+    return JSON.stringify({ ...appState, activeTimelineId: undefined, activeCalendarId: undefined });
+}
+
+function recordHistory(snapshot, historyKey) {
+    const previous = lastSnapshot;
+    const previousEditState = lastEditState;
+    lastSnapshot = snapshot;
+    lastEditState = serializeEditState();
+    if (previous === null || previousEditState === lastEditState) return;
+
+    const now = Date.now();
+    const merge = historyKey && historyKey === lastHistoryKey && now - lastHistoryTime < HISTORY_MERGE_MS;
+    lastHistoryKey = historyKey;
+    lastHistoryTime = now;
+    if (merge) return;
+
+    undoStack.push(previous);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    persistHistory();
+}
+
+// Drops the oldest undo steps (then redo steps) until the history fits HISTORY_MAX_CHARS
+function trimHistory() {
+    let size = [...undoStack, ...redoStack].reduce((sum, snapshot) => sum + snapshot.length, 0);
+    while (size > HISTORY_MAX_CHARS && undoStack.length) size -= undoStack.shift().length;
+    while (size > HISTORY_MAX_CHARS && redoStack.length) size -= redoStack.shift().length;
+}
+
+function persistHistory() {
+    trimHistory();
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+    } catch (e) {
+        // Storage full: keep the newest half
+        console.warn("History too large, trimming.", e);
+        undoStack = undoStack.slice(Math.floor(undoStack.length / 2));
+        redoStack = [];
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+        } catch (e2) {
+            localStorage.removeItem(HISTORY_STORAGE_KEY);
+        }
+    }
+}
+
+function loadHistory() {
+    try {
+        const raw = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '{}');
+        undoStack = Array.isArray(raw.undo) ? raw.undo : [];
+        redoStack = Array.isArray(raw.redo) ? raw.redo : [];
+    } catch (e) {
+        undoStack = [];
+        redoStack = [];
+    }
+}
+
+function restoreSnapshot(snapshot) {
+    localStorage.setItem('scheduleAppState', snapshot);
+    lastHistoryKey = null;
+    persistHistory();
+    loadState(); // Sets lastSnapshot
+    renderAll(); // Listeners stay attached from initUI
+}
+
+function undo() {
+    if (!undoStack.length) return;
+    redoStack.push(JSON.stringify(appState));
+    restoreSnapshot(undoStack.pop());
+}
+
+function redo() {
+    if (!redoStack.length) return;
+    undoStack.push(JSON.stringify(appState));
+    restoreSnapshot(redoStack.pop());
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) undoBtn.disabled = !undoStack.length;
+    if (redoBtn) redoBtn.disabled = !redoStack.length;
+}
+
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    // Text fields keep their own native undo
+    const target = e.target;
+    if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text'))) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) redo();
+    else undo();
 }
 
 function getActiveTimeline() {
@@ -141,9 +352,76 @@ function getActiveData() {
 
 // --- Date Helpers ---
 
-function isWeekend(date) {
-    const day = date.getDay();
-    return day === 0 || day === 6;
+// Working week as Date.getDay() values (0=Sun ... 6=Sat)
+const DEFAULT_WORKING_WEEK = [1, 2, 3, 4, 5];
+
+// A timeline's calendar: which weekdays are worked, plus the holidays (date -> name)
+// of the holiday calendars it has selected, and how many hours make a working day.
+// Every date helper takes one; omitted = Mon-Fri with every holiday calendar.
+function getTimelineCalendar(data) {
+    const week = data && Array.isArray(data.workingWeek) && data.workingWeek.length
+        ? data.workingWeek
+        : DEFAULT_WORKING_WEEK;
+    const calendarIds = data && Array.isArray(data.calendarIds)
+        ? data.calendarIds
+        : (appState.holidayCalendars || []).map(c => c.id);
+    const hoursPerDay = data && data.hoursPerDay > 0 ? data.hoursPerDay : DEFAULT_HOURS_PER_DAY;
+    return { workingWeek: week, holidays: getHolidayMap(calendarIds), hoursPerDay };
+}
+
+function getHolidayMap(calendarIds) {
+    const map = new Map();
+    (appState.holidayCalendars || []).forEach(cal => {
+        if (!calendarIds.includes(cal.id)) return;
+        cal.holidays.forEach(h => {
+            // Several calendars closing on the same day: list every name
+            const existing = map.get(h.date);
+            if (existing === undefined) map.set(h.date, h.name || '');
+            else if (h.name && !existing.split(' / ').includes(h.name)) map.set(h.date, existing ? `${existing} / ${h.name}` : h.name);
+        });
+    });
+    return map;
+}
+
+// A phase with an owner also skips the owner's leave days. Leave is merged into `holidays`
+// for the date arithmetic and kept separately in `leave` so the Gantt can shade it apart.
+function getPhaseCalendar(calendar, phase) {
+    const owner = phase.ownerId ? (appState.team || []).find(m => m.id === phase.ownerId) : null;
+    if (!owner || !owner.leave || !owner.leave.length) return calendar;
+
+    const leave = new Map(owner.leave.map(l => [l.date, l.name ? `${owner.name}: ${l.name}` : `${owner.name}: 休暇`]));
+    const holidays = new Map(calendar.holidays);
+    leave.forEach((name, date) => {
+        if (!holidays.has(date)) holidays.set(date, name);
+    });
+    return { workingWeek: calendar.workingWeek, holidays, leave, hoursPerDay: calendar.hoursPerDay };
+}
+
+// Map(phaseId -> calendar) for a timeline; phases sharing an owner share one calendar object
+function getPhaseCalendars(data, calendar) {
+    const byOwner = new Map();
+    return new Map(data.phases.map(p => {
+        if (!byOwner.has(p.ownerId)) byOwner.set(p.ownerId, getPhaseCalendar(calendar, p));
+        return [p.id, byOwner.get(p.ownerId)];
+    }));
+}
+
+function getToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// ISO 8601 week: weeks start on Monday, week 1 holds the year's first Thursday
+function getIsoWeek(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    firstThursday.setDate(firstThursday.getDate() + 3 - (firstThursday.getDay() + 6) % 7);
+    return { year: thursday.getFullYear(), week: 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000)) };
+}
+
+function isWeekend(date, calendar) {
+    const week = calendar ? calendar.workingWeek : DEFAULT_WORKING_WEEK;
+    return !week.includes(date.getDay());
 }
 
 function normalizeDateStr(date) {
@@ -153,310 +431,2192 @@ function normalizeDateStr(date) {
     return `${y}-${m}-${d}`;
 }
 
-function isHoliday(date) {
-    // Changed: Read from global State
-    const str = normalizeDateStr(date);
-    return appState.globalHolidays.includes(str);
+function isHoliday(date, calendar) {
+    const holidays = (calendar || getTimelineCalendar(null)).holidays;
+    return holidays.has(normalizeDateStr(date));
 }
 
-function isWorkingDay(date) {
-    return !isWeekend(date) && !isHoliday(date);
+function isWorkingDay(date, calendar) {
+    return !isWeekend(date, calendar) && !isHoliday(date, calendar);
 }
 
-function subBusinessDays(startDate, daysToSubtract) {
-    let date = new Date(startDate.getTime());
-    let daysLeft = daysToSubtract;
-    while (daysLeft > 0) {
-        date.setDate(date.getDate() - 1);
-        if (isWorkingDay(date)) daysLeft--;
-    }
-    return date;
+// --- Calendar Engine ---
+// Working days are counted with week arithmetic plus a sorted list of the holidays that fall on
+// working weekdays, so adding, subtracting and counting take O(log holidays) steps, however long
+// the range. Dates are handled as day numbers (days since 1970-01-01, local calendar dates).
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const calendarEngines = new WeakMap(); // calendar object -> engine
+let defaultCalendarEngine = null;
+
+function toDayNumber(date) {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
 }
 
-function addBusinessDays(startDate, daysToAdd) {
-    let date = new Date(startDate.getTime());
-    let daysLeft = daysToAdd;
-    while (daysLeft > 0) {
-        date.setDate(date.getDate() + 1);
-        if (isWorkingDay(date)) daysLeft--;
+// Same time of day as `date`, `days` calendar days later
+function shiftDate(date, days) {
+    const d = new Date(date.getTime());
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+function getCalendarEngine(calendar) {
+    if (!calendar) {
+        // The default calendar depends on appState, so it's only kept while the holidays stay the same
+        const fallback = getTimelineCalendar(null);
+        const key = JSON.stringify([...fallback.holidays.keys()]);
+        if (!defaultCalendarEngine || defaultCalendarEngine.key !== key) {
+            defaultCalendarEngine = { key, engine: buildCalendarEngine(fallback) };
+        }
+        return defaultCalendarEngine.engine;
     }
-    return date;
+    let engine = calendarEngines.get(calendar);
+    if (!engine) {
+        engine = buildCalendarEngine(calendar);
+        calendarEngines.set(calendar, engine);
+    }
+    return engine;
 }
 
-function ensureWorkingDayBackward(date) {
-    let d = new Date(date.getTime());
-    while (!isWorkingDay(d)) d.setDate(d.getDate() - 1);
-    return d;
+function buildCalendarEngine(calendar) {
+    const week = calendar.workingWeek;
+    // Day number 0 (1970-01-01) was a Thursday: weekday = (n + 4) mod 7
+    const weekdayOf = (n) => ((n + 4) % 7 + 7) % 7;
+    // prefix[k]: working weekdays among the first k days of a Sunday-first week
+    const prefix = [0];
+    for (let k = 0; k < 7; k++) prefix.push(prefix[k] + (week.includes(k) ? 1 : 0));
+    const perWeek = prefix[7];
+
+    const holidays = [];
+    calendar.holidays.forEach((name, key) => {
+        const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key);
+        if (!m) return;
+        const n = Math.floor(Date.UTC(+m[1], +m[2] - 1, +m[3]) / MS_PER_DAY);
+        if (week.includes(weekdayOf(n))) holidays.push(n);
+    });
+    holidays.sort((a, b) => a - b);
+
+    // Holidays on working weekdays before day n (binary search)
+    const holidaysBefore = (n) => {
+        let lo = 0;
+        let hi = holidays.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (holidays[mid] < n) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    };
+
+    // Working days before day n, counted from day -4 (a Sunday); negative before that
+    const indexOf = (n) => {
+        const shifted = n + 4;
+        const weeks = Math.floor(shifted / 7);
+        return weeks * perWeek + prefix[shifted - weeks * 7] - holidaysBefore(n);
+    };
+
+    // The working day with the given index: the first day n where indexOf(n + 1) exceeds it
+    const nthWorkingDay = (index) => {
+        const guess = Math.floor(index / perWeek) * 7;
+        let lo = guess;
+        let hi = guess;
+        for (let span = 7; indexOf(lo + 1) > index; span *= 2) lo -= span;
+        for (let span = 7; indexOf(hi + 1) <= index; span *= 2) hi += span;
+        while (lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (indexOf(mid + 1) > index) hi = mid;
+            else lo = mid + 1;
+        }
+        return lo;
+    };
+
+    return { indexOf, nthWorkingDay };
 }
 
-function ensureWorkingDayForward(date) {
-    let d = new Date(date.getTime());
-    while (!isWorkingDay(d)) d.setDate(d.getDate() + 1);
-    return d;
+function subBusinessDays(startDate, daysToSubtract, calendar) {
+    if (daysToSubtract <= 0) return new Date(startDate.getTime());
+    const engine = getCalendarEngine(calendar);
+    const start = toDayNumber(startDate);
+    return shiftDate(startDate, engine.nthWorkingDay(engine.indexOf(start) - daysToSubtract) - start);
 }
 
+function addBusinessDays(startDate, daysToAdd, calendar) {
+    if (daysToAdd <= 0) return new Date(startDate.getTime());
+    const engine = getCalendarEngine(calendar);
+    const start = toDayNumber(startDate);
+    return shiftDate(startDate, engine.nthWorkingDay(engine.indexOf(start + 1) + daysToAdd - 1) - start);
+}
 
-// --- Logic ---
+function ensureWorkingDayBackward(date, calendar) {
+    const engine = getCalendarEngine(calendar);
+    const n = toDayNumber(date);
+    return shiftDate(date, engine.nthWorkingDay(engine.indexOf(n + 1) - 1) - n);
+}
 
-function calculateSchedule(targetData = null) {
-    const data = targetData || getActiveData();
-    if (!data.anchorDate || !data.phases.length) return null;
+function ensureWorkingDayForward(date, calendar) {
+    const engine = getCalendarEngine(calendar);
+    const n = toDayNumber(date);
+    return shiftDate(date, engine.nthWorkingDay(engine.indexOf(n)) - n);
+}
 
-    const anchorIndex = data.phases.findIndex(p => p.id === data.anchorPhaseId);
-    if (anchorIndex === -1 && data.phases.length > 0) {
-        data.anchorPhaseId = data.phases[0].id;
-        return calculateSchedule(data);
-    }
-    if (anchorIndex === -1) return [];
+// Signed number of working days after `from` up to and including `to`
+function countBusinessDays(from, to, calendar) {
+    const engine = getCalendarEngine(calendar);
+    return engine.indexOf(toDayNumber(to) + 1) - engine.indexOf(toDayNumber(from) + 1);
+}
 
-    const results = new Array(data.phases.length);
-    const anchorDateObj = new Date(data.anchorDate);
-    const anchorPhase = data.phases[anchorIndex];
 
-    // --- Helper: Process Parallel Items ---
-    // Parallel items do not affect the RefDate chain.
-    const processParallel = (idx) => {
-        const p = data.phases[idx];
-        if (p.isParallel) {
-            // Use manual dates if present, else default to today? 
-            // Better: if missing, keep them null or try to preserve days?
-            // If user just checked "Parallel", we might not have dates yet.
-            // Let's assume input validation or fallback.
-            // Fallback: Anchor Date start, + days.
-            let s = p.manualStartDate ? new Date(p.manualStartDate) : new Date(data.anchorDate);
-            let e = p.manualEndDate ? new Date(p.manualEndDate) : addBusinessDays(s, p.days - 1);
-
-            // Recalculate days based on range? 
-            // User requirement: "End Date (Input) ... enabled".
-            // So we trust the dates.
-            // Update the p.days for display?
-            const diff = getDaysDiff(s, e);
-            // p.days = diff; // Should we mutate data here? ideally valid update happens in Input listener.
-            // But results should reflect it.
-            return { ...p, startDate: s, endDate: e, days: diff };
-        }
-        return null;
-    };
+// --- Japanese National Holidays ---
+// Offline generator following 国民の祝日に関する法律 (incl. 振替休日 and 国民の休日).
+// The equinox formulas are valid for 1980-2099, which bounds the supported range.
 
+const JP_HOLIDAY_MIN_YEAR = 1980;
+const JP_HOLIDAY_MAX_YEAR = 2099;
 
-    // --- Anchor Calculation ---
-    // If Anchor is parallel, it breaks the chain logic. Anchor MUST be sequential.
-    // Ideally we prevent this in UI, but handle here safely.
-    // If Anchor IS parallel, we treat it as an isolated parallel task?
-    // Then what references the others?
-    // Let's assume Anchor IS sequential (enforced in UI).
+function nthMondayOf(year, month, n) {
+    const first = new Date(year, month - 1, 1);
+    const offset = (8 - first.getDay()) % 7; // days until the first Monday
+    return 1 + offset + (n - 1) * 7;
+}
 
-    let anchorStart, anchorEnd;
+function vernalEquinoxDay(year) {
+    return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
 
-    if (data.anchorType === 'end') {
-        anchorEnd = ensureWorkingDayBackward(anchorDateObj);
-        anchorStart = subBusinessDays(anchorEnd, Math.max(0, anchorPhase.days - 1));
-    } else {
-        anchorStart = ensureWorkingDayForward(anchorDateObj);
-        anchorEnd = addBusinessDays(anchorStart, Math.max(0, anchorPhase.days - 1));
+function autumnalEquinoxDay(year) {
+    return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+// 国民の祝日 for one year as [month, day, name]
+function getJapaneseStatutoryHolidays(year) {
+    const list = [];
+    const add = (month, day, name) => list.push([month, day, name]);
+
+    add(1, 1, '元日');
+    if (year >= 2000) add(1, nthMondayOf(year, 1, 2), '成人の日');
+    else add(1, 15, '成人の日');
+    add(2, 11, '建国記念の日');
+    if (year >= 2020) add(2, 23, '天皇誕生日');
+    add(3, vernalEquinoxDay(year), '春分の日');
+    if (year >= 2007) add(4, 29, '昭和の日');
+    else if (year >= 1989) add(4, 29, 'みどりの日');
+    else add(4, 29, '天皇誕生日');
+    add(5, 3, '憲法記念日');
+    if (year >= 2007) add(5, 4, 'みどりの日');
+    add(5, 5, 'こどもの日');
+
+    if (year === 2020) add(7, 23, '海の日');
+    else if (year === 2021) add(7, 22, '海の日');
+    else if (year >= 2003) add(7, nthMondayOf(year, 7, 3), '海の日');
+    else if (year >= 1996) add(7, 20, '海の日');
+
+    if (year === 2020) add(8, 10, '山の日');
+    else if (year === 2021) add(8, 8, '山の日');
+    else if (year >= 2016) add(8, 11, '山の日');
+
+    if (year >= 2003) add(9, nthMondayOf(year, 9, 3), '敬老の日');
+    else add(9, 15, '敬老の日');
+    add(9, autumnalEquinoxDay(year), '秋分の日');
+
+    if (year === 2020) add(7, 24, 'スポーツの日');
+    else if (year === 2021) add(7, 23, 'スポーツの日');
+    else if (year >= 2020) add(10, nthMondayOf(year, 10, 2), 'スポーツの日');
+    else if (year >= 2000) add(10, nthMondayOf(year, 10, 2), '体育の日');
+    else add(10, 10, '体育の日');
+
+    add(11, 3, '文化の日');
+    add(11, 23, '勤労感謝の日');
+    if (year >= 1989 && year <= 2018) add(12, 23, '天皇誕生日');
+
+    // One-off holidays
+    if (year === 1989) add(2, 24, '昭和天皇の大喪の礼');
+    if (year === 1990) add(11, 12, '即位礼正殿の儀');
+    if (year === 1993) add(6, 9, '皇太子徳仁親王の結婚の儀');
+    if (year === 2019) {
+        add(5, 1, '天皇の即位の日');
+        add(10, 22, '即位礼正殿の儀');
     }
 
-    results[anchorIndex] = { ...anchorPhase, startDate: anchorStart, endDate: anchorEnd };
+    return list;
+}
 
-    // --- Preceding Chain ---
-    let nextRefDate = anchorStart;
-    for (let i = anchorIndex - 1; i >= 0; i--) {
-        const parallelRes = processParallel(i);
-        if (parallelRes) {
-            results[i] = parallelRes;
-            // Do NOT update nextRefDate
-            continue;
-        }
+// Returns [{ date: "YYYY-MM-DD", name }] sorted by date
+function generateJapaneseHolidays(fromYear, toYear) {
+    const start = Math.max(JP_HOLIDAY_MIN_YEAR, fromYear);
+    const end = Math.min(JP_HOLIDAY_MAX_YEAR, toYear);
+    const result = new Map(); // date -> name
 
-        // Sequential
-        let end = subBusinessDays(nextRefDate, 1);
-        let start = subBusinessDays(end, Math.max(0, data.phases[i].days - 1));
-        results[i] = { ...data.phases[i], startDate: start, endDate: end };
-        nextRefDate = start;
-    }
-
-    // --- Succeeding Chain ---
-    let prevRefDate = anchorEnd;
-    for (let i = anchorIndex + 1; i < data.phases.length; i++) {
-        const parallelRes = processParallel(i);
-        if (parallelRes) {
-            results[i] = parallelRes;
-            // Do NOT update prevRefDate
-            continue;
+    for (let year = start; year <= end; year++) {
+        const statutory = new Map();
+        getJapaneseStatutoryHolidays(year).forEach(([month, day, name]) => {
+            statutory.set(normalizeDateStr(new Date(year, month - 1, day)), name);
+        });
+        statutory.forEach((name, date) => result.set(date, name));
+
+        // 国民の休日: a weekday sandwiched between two 祝日 (since 1988)
+        if (year >= 1988) {
+            for (let d = new Date(year, 0, 2); d.getFullYear() === year; d.setDate(d.getDate() + 1)) {
+                const key = normalizeDateStr(d);
+                if (statutory.has(key) || d.getDay() === 0) continue;
+                const prev = new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1);
+                const next = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+                if (statutory.has(normalizeDateStr(prev)) && statutory.has(normalizeDateStr(next))) {
+                    result.set(key, '国民の休日');
+                }
+            }
         }
 
-        // Sequential
-        let start = addBusinessDays(prevRefDate, 1);
-        let end = addBusinessDays(start, Math.max(0, data.phases[i].days - 1));
-        results[i] = { ...data.phases[i], startDate: start, endDate: end };
-        prevRefDate = end;
+        // 振替休日: a 祝日 on Sunday moves to the next day that is not a 祝日
+        // (before 2007 only the following Monday qualified)
+        statutory.forEach((name, date) => {
+            const [y, m, dd] = date.split('-').map(Number);
+            const d = new Date(y, m - 1, dd);
+            if (d.getDay() !== 0) return;
+            const sub = new Date(y, m - 1, dd + 1);
+            if (year >= 2007) {
+                while (statutory.has(normalizeDateStr(sub))) sub.setDate(sub.getDate() + 1);
+            } else if (statutory.has(normalizeDateStr(sub))) {
+                return;
+            }
+            const key = normalizeDateStr(sub);
+            if (!result.has(key)) result.set(key, '振替休日');
+        });
     }
 
-    return results;
+    return [...result.entries()]
+        .map(([date, name]) => ({ date, name }))
+        .sort((a, b) => a.date.localeCompare(b.date));
 }
 
-// --- Render Logic ---
+// Replaces generated national holidays of a holiday calendar within the year range,
+// keeps everything else
+function mergeJapaneseHolidays(holidayCalendar, fromYear, toYear) {
+    const generated = generateJapaneseHolidays(fromYear, toYear).map(h => ({ ...h, source: 'jp' }));
+    const inRange = (h) => {
+        const y = Number(h.date.slice(0, 4));
+        return y >= fromYear && y <= toYear;
+    };
+    holidayCalendar.holidays = [
+        ...holidayCalendar.holidays.filter(h => h.source !== 'jp' || !inRange(h)),
+        ...generated
+    ].sort((a, b) => a.date.localeCompare(b.date));
+    return generated.length;
+}
 
-let phaseListEl, resultContainerEl, anchorDateInput, holidaysInput, anchorPhaseSelect, anchorTypeRadios;
-let timelineSelect, addTimelineBtn, renameTimelineBtn, deleteTimelineBtn;
+// --- Holiday Text Format ---
+// One entry per line in the holiday settings:
+//   2026-05-01 創立記念日
+//   2026-12-29..2027-01-03 年末年始 (spaces around ".." are allowed)
+//   # comment (also after an entry)
 
-function bindDOMElements() {
-    phaseListEl = document.getElementById('phase-list');
-    resultContainerEl = document.getElementById('result-container');
-    anchorDateInput = document.getElementById('anchor-date-input');
-    holidaysInput = document.getElementById('holidays-input');
-    anchorPhaseSelect = document.getElementById('anchor-phase-select');
-    anchorTypeRadios = document.querySelectorAll('input[name="top-anchor-type"]');
+const MAX_HOLIDAY_RANGE_DAYS = 366;
 
-    // New Controls
-    timelineSelect = document.getElementById('timeline-select');
-    addTimelineBtn = document.getElementById('add-timeline-btn');
-    renameTimelineBtn = document.getElementById('rename-timeline-btn');
-    deleteTimelineBtn = document.getElementById('delete-timeline-btn');
+function parseDateStr(str) {
+    const m = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    // Rejects overflowing dates like 2026-02-30
+    return normalizeDateStr(d) === str ? d : null;
 }
 
-function renderTimelineSelect() {
-    if (!timelineSelect) return;
-    timelineSelect.innerHTML = '';
-    appState.timelines.forEach(t => {
-        const opt = document.createElement('option');
-        opt.value = t.id;
-        opt.textContent = t.name;
-        if (t.id === appState.activeTimelineId) opt.selected = true;
-        timelineSelect.appendChild(opt);
+// Returns { entries: [{ date, name }], errors: [{ line, text, reason }] }
+function parseHolidayText(text) {
+    const entries = [];
+    const errors = [];
+
+    text.split('\n').forEach((raw, i) => {
+        const line = raw.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        const m = line.match(/^(\S+?)(?:\s*\.\.\s*(\S+))?(?:\s+(.*))?$/);
+        const fail = (reason) => errors.push({ line: i + 1, text: raw.trim(), reason });
+        if (!m) return fail('形式が不正です');
+
+        const start = parseDateStr(m[1]);
+        const end = m[2] ? parseDateStr(m[2]) : start;
+        const name = (m[3] || '').trim();
+        if (!start) return fail(`日付が不正です: ${m[1]}`);
+        if (!end) return fail(`日付が不正です: ${m[2]}`);
+        if (name.startsWith('..')) return fail('期間の終了日がありません');
+        if (end < start) return fail('期間の終了日が開始日より前です');
+        if (getDaysDiff(start, end) > MAX_HOLIDAY_RANGE_DAYS) return fail(`期間が長すぎます (最大${MAX_HOLIDAY_RANGE_DAYS}日)`);
+
+        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+            entries.push({ date: normalizeDateStr(d), name });
+        }
     });
+
+    return { entries, errors };
 }
 
-function renderPhases() {
-    if (!phaseListEl) return;
-    phaseListEl.innerHTML = '';
+// Inverse of parseHolidayText: consecutive days with the same name become a range
+function formatHolidayText(entries) {
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    const lines = [];
+    let run = null;
+    const flush = () => {
+        if (!run) return;
+        const dates = run.start === run.end ? run.start : `${run.start}..${run.end}`;
+        lines.push(run.name ? `${dates} ${run.name}` : dates);
+    };
 
-    const data = getActiveData();
-    renderAnchorSelect();
+    sorted.forEach(h => {
+        const name = h.name || '';
+        if (run && run.name === name) {
+            const next = parseDateStr(run.end);
+            next.setDate(next.getDate() + 1);
+            if (normalizeDateStr(next) === h.date) {
+                run.end = h.date;
+                return;
+            }
+        }
+        flush();
+        run = { start: h.date, end: h.date, name };
+    });
+    flush();
+    return lines.join('\n');
+}
 
-    // Calculate schedule to show dates in the list
-    const schedule = calculateSchedule(data);
-    const dateMap = {};
-    if (schedule) {
-        schedule.forEach((s, i) => {
-            dateMap[data.phases[i].id] = { start: s.startDate, end: s.endDate };
-        });
+// Holiday names within [start, end], e.g. to explain why a phase is longer
+function getHolidayNamesInRange(start, end, calendar) {
+    const names = [];
+    for (let d = new Date(start.getTime()); d <= end; d.setDate(d.getDate() + 1)) {
+        const key = normalizeDateStr(d);
+        if (!calendar.holidays.has(key)) continue;
+        const name = calendar.holidays.get(key) || '休日';
+        if (!names.includes(name)) names.push(name);
     }
+    return names;
+}
 
-    data.phases.forEach((phase, index) => {
-        const row = document.createElement('div');
-        row.className = 'phase-row draggable-item';
-        row.dataset.idx = index;
-        row.draggable = true;
+// --- Logic ---
 
-        const isAnchor = data.anchorPhaseId === phase.id;
-        const isParallel = !!phase.isParallel;
-        const activeStyle = isAnchor ? 'border-left: 3px solid var(--accent-primary); background: rgba(56,189,248,0.1);' : '';
+// Dependency types between phases (predecessor -> successor):
+// FS = successor starts after predecessor finishes
+// SS = successor starts together with predecessor
+// FF = successor finishes together with predecessor
+const DEPENDENCY_TYPES = ['FS', 'SS', 'FF'];
 
-        row.style.cssText = activeStyle;
+function isMilestone(phase) {
+    return phase.type === 'milestone';
+}
 
-        // Parallel Logic: If parallel, Manual Dates Enabled, Days Disabled (calculated).
-        // If Sequential, Manual Dates Disabled (Text), Days Enabled.
+function isBuffer(phase) {
+    return phase.type === 'buffer';
+}
 
-        // Consolidate Logic: Always use inputs.
-        // If parallel: value = manualDate, enabled.
-        // If sequential: value = calculatedDate, disabled.
+function isNetworkPhase(data, phase) {
+    // Parallel phases keep their manual dates and stay out of the dependency graph,
+    // summary phases take their dates from their children.
+    // The anchor is always part of it (see calculateSchedule).
+    if (isSummaryPhase(data, phase)) return false;
+    return !phase.isParallel || phase.id === resolveAnchorPhaseId(data);
+}
 
-        let startDateVal = phase.manualStartDate || '';
-        let endDateVal = phase.manualEndDate || '';
+// Explicit links as set via the predecessor picker (targets may be summary phases),
+// or null when the phase follows the implicit list-order chain
+function getOwnLinks(data, phase) {
+    if (!Array.isArray(phase.predecessors)) return null;
+    return phase.predecessors.filter(link => {
+        if (link.id === phase.id) return false;
+        const pred = data.phases.find(p => p.id === link.id);
+        return pred && (isNetworkPhase(data, pred) || isSummaryPhase(data, pred));
+    }).map(link => ({ id: link.id, type: DEPENDENCY_TYPES.includes(link.type) ? link.type : 'FS' }));
+}
 
-        if (!isParallel) {
-            const sDates = dateMap[phase.id];
-            if (sDates) {
-                // Format YYYY-MM-DD for input[type=date]
-                const iso = (d) => {
-                    const y = d.getFullYear();
-                    const m = String(d.getMonth() + 1).padStart(2, '0');
-                    const day = String(d.getDate()).padStart(2, '0');
-                    return `${y}-${m}-${day}`;
-                };
-                startDateVal = iso(sDates.start);
-                endDateVal = iso(sDates.end);
+// Scheduled phases a link stands for. A summary phase is not scheduled itself, so links to it
+// go to its leaves: all of them for FS / FF (it finishes with its last leaf), the first one for SS.
+function resolveLinkTargets(data, link) {
+    const target = data.phases.find(p => p.id === link.id);
+    if (!target) return [];
+    if (!isSummaryPhase(data, target)) return isNetworkPhase(data, target) ? [target.id] : [];
+    const leaves = getLeafPhases(data, target.id);
+    return link.type === 'SS' ? leaves.slice(0, 1) : leaves;
+}
+
+function getPhasePredecessors(data, index) {
+    const phase = data.phases[index];
+    if (isSummaryPhase(data, phase)) return []; // Its links apply to its leaves, see below
+
+    const links = [];
+    const add = (link, extra) => resolveLinkTargets(data, link).forEach(id => {
+        if (id === phase.id || links.some(l => l.id === id && l.type === link.type)) return;
+        links.push({ id, type: link.type, ...extra, ...(id !== link.id ? { via: link.id } : {}) });
+    });
+
+    const own = getOwnLinks(data, phase);
+    if (own) {
+        // Explicit links (set via the predecessor picker)
+        own.forEach(link => add(link, {}));
+    } else {
+        // Implicit: finish-to-start after the previous sequential phase in list order.
+        // The first phase inside a parent with explicit links follows those instead.
+        // Right after a summary block it follows the whole block (its latest leaf), not the last row.
+        const ownAncestors = getAncestorPhases(data, phase);
+        for (let i = index - 1; i >= 0; i--) {
+            const prev = data.phases[i];
+            if (Array.isArray(prev.predecessors) && isAncestorPhase(data, prev, phase)) break;
+            if (isNetworkPhase(data, prev)) {
+                const block = getAncestorPhases(data, prev).filter(a => !ownAncestors.includes(a)).pop();
+                if (block) add({ id: block.id, type: 'FS' }, { implicit: true });
+                else links.push({ id: prev.id, type: 'FS', implicit: true });
+                break;
             }
         }
+    }
 
-        row.innerHTML = `
-      <div style="cursor: grab; padding-right:0.5rem; color:var(--text-secondary); display:flex; flex-direction:column; align-items:center; justify-content:center; width: 30px;">
-         <span style="font-size:1.2rem;">⋮⋮</span>
-         <span style="font-size:0.7rem; font-weight:bold;">#${index + 1}</span>
-      </div>
-      
-      <div style="flex-grow:1; display:flex; align-items: center; gap:0.5rem;">
-         <div style="flex-grow:1; display:flex; flex-direction:column; gap:0.2rem;">
-             <input type="text" class="phase-name-input" value="${phase.name}" data-idx="${index}" style="font-weight:bold; width:100%; border:none; background:transparent; border-bottom:1px solid var(--glass-border); padding:0.2rem 0;">
-             ${isAnchor ? `<div style="font-size:0.75rem; color:var(--accent-primary);">📌 Anchor (${data.anchorType === 'start' ? 'Start' : 'End'})</div>` : ''}
-         </div>
-         
-         <!-- Parallel Checkbox (Icon only) -->
-         <label title="並行作業 (自動計算から除外)" style="cursor:pointer; display:flex; align-items:center; padding: 0.2rem;">
-            <input type="checkbox" class="phase-parallel-chk" data-idx="${index}" ${isParallel ? 'checked' : ''} ${isAnchor ? 'disabled' : ''}>
-         </label>
-      </div>
-      
-      <!-- Date/Days Area -->
-      <div style="display:flex; flex-direction:column; gap:0.2rem; align-items:flex-end; min-width: 140px;">
-          <div style="display:flex; gap:0.2rem; justify-content: flex-end; height: 24px; align-items: center;">
-            <input type="date" class="phase-start-input" data-idx="${index}" value="${startDateVal}" 
-                   style="width:105px; font-size:0.75rem; padding:0.1rem; ${!isParallel ? 'color:var(--text-secondary); border:none; background:transparent;' : ''}" 
-                   ${!isParallel ? 'disabled' : ''}>
-            <span style="font-size:0.75rem;">-</span>
-            <input type="date" class="phase-end-input" data-idx="${index}" value="${endDateVal}" 
-                   style="width:105px; font-size:0.75rem; padding:0.1rem; ${!isParallel ? 'color:var(--text-secondary); border:none; background:transparent;' : ''}" 
-                   ${!isParallel ? 'disabled' : ''}>
-          </div>
+    // Links of the parents: nothing inside starts before they allow (FS / SS),
+    // the last leaf finishes with them (FF)
+    getAncestorPhases(data, phase).forEach(ancestor => {
+        const leaves = getLeafPhases(data, ancestor.id);
+        (getOwnLinks(data, ancestor) || []).forEach(link => {
+            if (link.type === 'FF' && leaves[leaves.length - 1] !== phase.id) return;
+            const target = data.phases.find(p => p.id === link.id);
+            if (isAncestorPhase(data, ancestor, target)) return; // Points into its own subtree
+            add(link, { inherited: ancestor.id });
+        });
+    });
+    return links;
+}
 
-          <div style="display:flex; align-items:center; gap:0.3rem">
-            <input type="number" class="phase-days-input" value="${phase.days}" min="1" data-idx="${index}" 
-                   style="width:70px !important; text-align:right; font-size: 0.9rem;" 
-                   ${isParallel ? 'readonly style="background:transparent; border:none; color:var(--text-secondary); width:70px !important; text-align:right;"' : ''}>
-            <span style="font-size:0.75rem; color:var(--text-secondary)">days</span>
-          </div>
-      </div>
+// --- Relative Parallel Phases ---
+// A parallel phase either keeps fixed manual dates or follows another phase of the chain:
+// its `side` (start / end) lands `offset` business days after the referenced phase's `edge`
+// (negative = before). It moves with the chain but, like any parallel phase, pushes nothing.
 
-      <button class="icon-btn delete-btn" data-idx="${index}" title="削除" style="margin-left: 0.5rem;">
-        🗑️
-      </button>
-    `;
-        phaseListEl.appendChild(row);
-    });
+const PHASE_EDGES = { start: '開始', end: '終了' };
 
-    attachPhaseListeners();
-    attachDragListeners();
-    updateTopControls();
+// The phase's reference if it still points at a phase of the dependency graph, else null (fixed dates)
+function getParallelRef(data, phase) {
+    const ref = phase.isParallel && phase.parallelRef;
+    if (!ref || ref.id === phase.id) return null;
+    const target = data.phases.find(p => p.id === ref.id);
+    return target && isNetworkPhase(data, target) ? ref : null;
 }
 
-function renderAnchorSelect() {
-    if (!anchorPhaseSelect) return;
-    const data = getActiveData();
-    anchorPhaseSelect.innerHTML = '';
-    data.phases.forEach(phase => {
-        const opt = document.createElement('option');
-        opt.value = phase.id;
-        opt.textContent = phase.name;
-        opt.selected = phase.id === data.anchorPhaseId;
-        anchorPhaseSelect.appendChild(opt);
-    });
+function placeRelativeToPhase(phase, ref, target, calendar) {
+    const point = shiftBusinessDays(ref.edge === 'end' ? target.endDate : target.startDate, parseInt(ref.offset) || 0, calendar);
+    const isCalendarTime = getDurationUnit(phase) === 'cd';
+    if (ref.side === 'end') {
+        return placeFromEnd(phase, isCalendarTime ? point : ensureWorkingDayBackward(point, calendar), 1, calendar);
+    }
+    return placeFromStart(phase, isCalendarTime ? point : ensureWorkingDayForward(point, calendar), 0, calendar);
 }
 
-function updateTopControls() {
-    const data = getActiveData();
-    if (anchorTypeRadios) {
-        anchorTypeRadios.forEach(radio => {
-            radio.checked = radio.value === data.anchorType;
-        });
-    }
-    if (anchorDateInput && anchorDateInput.value !== data.anchorDate) {
-        anchorDateInput.value = data.anchorDate;
-    }
-    // Update Holidays Input from GLOBAL state
+function getExternalPredecessors(phase) {
+    return Array.isArray(phase.externalPredecessors) ? phase.externalPredecessors : [];
+}
+
+// --- Cross-Timeline References ---
+// A timeline's anchor (anchorRef) and its phases (links with a timelineId) can follow phases of
+// other timelines. Schedules are then computed upstream first: calculateSchedule looks the
+// referenced dates up by calculating the referenced timeline, so edits cascade downstream.
+
+function getTimelineIdOf(data) {
+    const timeline = appState.timelines.find(t => t.data === data);
+    return timeline ? timeline.id : null;
+}
+
+// Ids of the other timelines a timeline's schedule depends on
+function getReferencedTimelineIds(data) {
+    const ids = new Set();
+    if (data.anchorRef) ids.add(data.anchorRef.timelineId);
+    data.phases.forEach(phase => getExternalPredecessors(phase).forEach(link => ids.add(link.timelineId)));
+    return [...ids].filter(id => appState.timelines.some(t => t.id === id && t.data !== data));
+}
+
+// Timeline ids forming a reference cycle reachable from timelineId (first id repeated at the end), or []
+function findTimelineCycle(timelineId) {
+    const path = [];
+    const cleared = new Set();
+    const visit = (id) => {
+        const pos = path.indexOf(id);
+        if (pos !== -1) return [...path.slice(pos), id];
+        if (cleared.has(id)) return null;
+        const timeline = appState.timelines.find(t => t.id === id);
+        if (!timeline) return null;
+
+        path.push(id);
+        for (const ref of getReferencedTimelineIds(timeline.data)) {
+            const cycle = visit(ref);
+            if (cycle) return cycle;
+        }
+        path.pop();
+        cleared.add(id);
+        return null;
+    };
+    return (timelineId && visit(timelineId)) || [];
+}
+
+// Schedules of referenced timelines, computed once per pass (see withSchedulePass)
+let externalScheduleCache = null;
+
+// Runs fn with one shared cache, so a chain of linked timelines is scheduled linearly
+function withSchedulePass(fn) {
+    if (externalScheduleCache) return fn();
+    externalScheduleCache = new Map();
+    try {
+        return fn();
+    } finally {
+        externalScheduleCache = null;
+    }
+}
+
+// Computed dates of a phase in another timeline, or null if it can't be scheduled
+function getExternalPhaseDates(timelineId, phaseId) {
+    const timeline = appState.timelines.find(t => t.id === timelineId);
+    if (!timeline) return null;
+    if (!externalScheduleCache.has(timelineId)) externalScheduleCache.set(timelineId, calculateSchedule(timeline.data));
+    const schedule = externalScheduleCache.get(timelineId);
+    const item = schedule && schedule.find(i => i.id === phaseId);
+    return item ? { startDate: item.startDate, endDate: item.endDate, ...getItemOffsets(item) } : null;
+}
+
+function getPhaseLabel(timelineId, phaseId) {
+    const timeline = appState.timelines.find(t => t.id === timelineId);
+    const phase = timeline && timeline.data.phases.find(p => p.id === phaseId);
+    return timeline && phase ? `${timeline.name} / ${phase.name}` : '?';
+}
+
+// Drops anchor references and links pointing at a removed timeline or phase (phaseId omitted = whole timeline)
+function removeExternalReferences(timelineId, phaseId = null) {
+    const matches = (tid, pid) => tid === timelineId && (phaseId === null || pid === phaseId);
+    appState.timelines.forEach(t => {
+        if (t.data.anchorRef && matches(t.data.anchorRef.timelineId, t.data.anchorRef.phaseId)) delete t.data.anchorRef;
+        t.data.phases.forEach(p => {
+            if (!Array.isArray(p.externalPredecessors)) return;
+            p.externalPredecessors = p.externalPredecessors.filter(l => !matches(l.timelineId, l.id));
+            if (!p.externalPredecessors.length) delete p.externalPredecessors;
+        });
+    });
+}
+
+function buildDependencyGraph(data) {
+    const nodes = data.phases.filter(p => isNetworkPhase(data, p)).map(p => p.id);
+    const preds = new Map();
+    const succs = new Map();
+    nodes.forEach(id => { preds.set(id, []); succs.set(id, []); });
+
+    data.phases.forEach((phase, index) => {
+        if (!preds.has(phase.id)) return;
+        getPhasePredecessors(data, index).forEach(link => {
+            preds.get(phase.id).push(link);
+            succs.get(link.id).push({ ...link, id: phase.id });
+        });
+    });
+
+    // Topological order (Kahn). Nodes left over belong to a cycle.
+    const inDegree = new Map(nodes.map(id => [id, preds.get(id).length]));
+    const queue = nodes.filter(id => inDegree.get(id) === 0);
+    const order = [];
+    while (queue.length) {
+        const id = queue.shift();
+        order.push(id);
+        succs.get(id).forEach(link => {
+            inDegree.set(link.id, inDegree.get(link.id) - 1);
+            if (inDegree.get(link.id) === 0) queue.push(link.id);
+        });
+    }
+    // Nodes left over either sit on a cycle or merely depend on one.
+    // Peel off the latter so only the actual cycle members are reported.
+    const cyclic = nodes.filter(id => !order.includes(id));
+    let pruned = true;
+    while (pruned) {
+        pruned = false;
+        for (let i = cyclic.length - 1; i >= 0; i--) {
+            const id = cyclic[i];
+            if (!succs.get(id).some(link => cyclic.includes(link.id))) {
+                cyclic.splice(i, 1);
+                pruned = true;
+            }
+        }
+    }
+
+    return { nodes, preds, succs, order, cyclic };
+}
+
+function findDependencyCycle(data) {
+    return buildDependencyGraph(data).cyclic;
+}
+
+// --- Duration Units ---
+// `days` is counted in the phase's durationUnit: business days, calendar days (waits that run
+// through weekends and holidays), half days or hours (hoursPerDay of the timeline = 1 day).
+// Half days and hours let phases start or end part-way through a day, so schedule entries carry
+// startOffset / endOffset: the share of their first / last day that lies before / inside them
+// (whole days: 0 and 1).
+
+const DURATION_UNITS = {
+    bd: '営業日',
+    cd: '暦日',
+    hd: '半日',
+    h: '時間'
+};
+const DEFAULT_HOURS_PER_DAY = 8;
+
+function getDurationUnit(phase) {
+    return DURATION_UNITS[phase.durationUnit] ? phase.durationUnit : 'bd';
+}
+
+// `days` units in one day
+function getUnitsPerDay(phase, hoursPerDay) {
+    const unit = getDurationUnit(phase);
+    if (unit === 'hd') return 2;
+    if (unit === 'h') return hoursPerDay || DEFAULT_HOURS_PER_DAY;
+    return 1;
+}
+
+// `days` of a parallel phase with fixed dates: the calendar days of the range like processParallel,
+// for half-day / hour units the range's working days in that unit
+function getFixedRangeDays(phase, start, end, calendar) {
+    if (['bd', 'cd'].includes(getDurationUnit(phase))) return getDaysDiff(start, end);
+    const workingDays = Math.max(1, countBusinessDays(ensureWorkingDayForward(start, calendar), end, calendar) + 1);
+    return workingDays * getUnitsPerDay(phase, calendar.hoursPerDay);
+}
+
+// Length in (possibly fractional) days: working days, or calendar days for 'cd'
+function getDurationDays(phase, hoursPerDay) {
+    return phase.days / getUnitsPerDay(phase, hoursPerDay);
+}
+
+function formatDuration(phase) {
+    return `${phase.days} ${DURATION_UNITS[getDurationUnit(phase)]}`;
+}
+
+function getItemOffsets(item) {
+    return {
+        startOffset: item.startOffset !== undefined ? item.startOffset : 0,
+        endOffset: item.endOffset !== undefined ? item.endOffset : 1
+    };
+}
+
+// A milestone on a whole day counts as that day (SS partners start on it, FS successors follow
+// the next day); one reached part-way through a day sits at that point
+function placeMilestone(date, offset) {
+    const partial = offset > 0 && offset < 1;
+    return { startDate: date, endDate: new Date(date.getTime()), startOffset: partial ? offset : 0, endOffset: partial ? offset : 1 };
+}
+
+// Sortable value of a point in time: a date plus the used share of that day
+function getSchedulePoint(date, offset) {
+    return date.getTime() + offset * MS_PER_DAY / 2;
+}
+
+const roundOffset = (value) => Math.round(value * 1e6) / 1e6;
+
+// Where a phase ends when it starts at startOffset of startDate
+function getSpanEnd(phase, startDate, startOffset, calendar) {
+    const length = getDurationDays(phase, calendar.hoursPerDay);
+    if (getDurationUnit(phase) === 'cd') {
+        return { endDate: shiftDate(startDate, Math.max(0, Math.ceil(length) - 1)), endOffset: 1 };
+    }
+    if (length <= 0) return { endDate: new Date(startDate.getTime()), endOffset: startOffset };
+
+    const total = roundOffset(startOffset + length);
+    const dayCount = Math.ceil(total);
+    return { endDate: addBusinessDays(startDate, dayCount - 1, calendar), endOffset: roundOffset(total - (dayCount - 1)) };
+}
+
+// Where a phase starts when it ends at endOffset of endDate
+function getSpanStart(phase, endDate, endOffset, calendar) {
+    const length = getDurationDays(phase, calendar.hoursPerDay);
+    if (getDurationUnit(phase) === 'cd') {
+        return { startDate: shiftDate(endDate, -Math.max(0, Math.ceil(length) - 1)), startOffset: 0 };
+    }
+    const remaining = roundOffset(length - endOffset);
+    if (remaining <= 0) return { startDate: new Date(endDate.getTime()), startOffset: roundOffset(-remaining) };
+
+    const dayCount = Math.ceil(remaining);
+    return { startDate: subBusinessDays(endDate, dayCount, calendar), startOffset: roundOffset(dayCount - remaining) };
+}
+
+// Schedule entry of a phase starting at (startDate, startOffset)
+function placeFromStart(phase, startDate, startOffset, calendar) {
+    if (isMilestone(phase)) return placeMilestone(startDate, startOffset);
+    return { startDate, startOffset, ...getSpanEnd(phase, startDate, startOffset, calendar) };
+}
+
+// Schedule entry of a phase ending at (endDate, endOffset)
+function placeFromEnd(phase, endDate, endOffset, calendar) {
+    if (isMilestone(phase)) return placeMilestone(endDate, endOffset);
+    return { ...getSpanStart(phase, endDate, endOffset, calendar), endDate, endOffset };
+}
+
+// --- Lag / Lead ---
+// A phase's lag shifts where each of its links puts it: FS waits that many business days after
+// the predecessor finishes (negative = a lead, it starts that much earlier and overlaps),
+// SS / FF move the shared start / finish. The backward pass shifts the successor back instead.
+
+function getLag(phase) {
+    return Number.isInteger(phase.lag) ? phase.lag : 0;
+}
+
+function shiftBusinessDays(date, days, calendar) {
+    return days >= 0 ? addBusinessDays(date, days, calendar) : subBusinessDays(date, -days, calendar);
+}
+
+// Earliest dates for a successor, given one of its (already scheduled) predecessors
+function scheduleFromPredecessor(link, pred, phase, calendar) {
+    const entry = placeAfterPredecessor(link, pred, phase, calendar);
+    const lag = getLag(phase);
+    if (!lag) return entry;
+    return link.type === 'FF'
+        ? placeFromEnd(phase, shiftBusinessDays(entry.endDate, lag, calendar), entry.endOffset, calendar)
+        : placeFromStart(phase, shiftBusinessDays(entry.startDate, lag, calendar), entry.startOffset, calendar);
+}
+
+function placeAfterPredecessor(link, pred, phase, calendar) {
+    const { startOffset, endOffset } = getItemOffsets(pred);
+    const isCalendarTime = getDurationUnit(phase) === 'cd';
+    if (link.type === 'SS') {
+        return placeFromStart(phase, new Date(pred.startDate.getTime()), isCalendarTime ? 0 : startOffset, calendar);
+    }
+    if (link.type === 'FF') {
+        return placeFromEnd(phase, new Date(pred.endDate.getTime()), isCalendarTime ? 1 : endOffset, calendar);
+    }
+    if (isMilestone(phase)) {
+        // A milestone is reached the moment its predecessor finishes, it doesn't wait a day
+        return placeMilestone(new Date(pred.endDate.getTime()), endOffset);
+    }
+    if (isCalendarTime) return placeFromStart(phase, shiftDate(pred.endDate, 1), 0, calendar);
+    if (endOffset < 1 && isWorkingDay(pred.endDate, calendar)) {
+        // Continues on the day the predecessor finished part-way through
+        return placeFromStart(phase, new Date(pred.endDate.getTime()), endOffset, calendar);
+    }
+    return placeFromStart(phase, addBusinessDays(pred.endDate, 1, calendar), 0, calendar);
+}
+
+// Latest dates for a predecessor, given one of its (already scheduled) successors.
+// succPhase: the successor itself (a milestone is reached the moment the predecessor finishes)
+function scheduleFromSuccessor(link, succ, phase, calendar, succPhase) {
+    const lag = getLag(succPhase);
+    if (lag) {
+        succ = { ...succ, startDate: shiftBusinessDays(succ.startDate, -lag, calendar), endDate: shiftBusinessDays(succ.endDate, -lag, calendar) };
+    }
+    const { startOffset, endOffset } = getItemOffsets(succ);
+    const isCalendarTime = getDurationUnit(phase) === 'cd';
+    if (link.type === 'SS') {
+        return placeFromStart(phase, new Date(succ.startDate.getTime()), isCalendarTime ? 0 : startOffset, calendar);
+    }
+    if (link.type === 'FF' || isMilestone(succPhase)) {
+        return placeFromEnd(phase, new Date(succ.endDate.getTime()), isCalendarTime ? 1 : endOffset, calendar);
+    }
+    if (startOffset > 0 && (isCalendarTime || isWorkingDay(succ.startDate, calendar))) {
+        // Finishes on the day the successor starts part-way through
+        return placeFromEnd(phase, new Date(succ.startDate.getTime()), isCalendarTime ? 1 : startOffset, calendar);
+    }
+    const end = isCalendarTime ? shiftDate(succ.startDate, -1) : subBusinessDays(succ.startDate, 1, calendar);
+    return placeFromEnd(phase, end, 1, calendar);
+}
+
+function calculateSchedule(targetData = null) {
+    return withSchedulePass(() => computeSchedule(targetData || getActiveData()));
+}
+
+function computeSchedule(data) {
+    if (!data.anchorDate || !data.phases.length) return null;
+
+    const anchorIndex = data.phases.findIndex(p => p.id === data.anchorPhaseId);
+    if (anchorIndex === -1 && data.phases.length > 0) {
+        data.anchorPhaseId = data.phases[0].id;
+        return computeSchedule(data);
+    }
+    if (anchorIndex === -1) return [];
+
+    const graph = buildDependencyGraph(data);
+    if (graph.cyclic.length) return null;
+    if (findTimelineCycle(getTimelineIdOf(data)).length) return null;
+
+    const results = new Array(data.phases.length);
+    const calendar = getTimelineCalendar(data);
+    const anchorDateObj = new Date(data.anchorDate);
+    const phaseById = new Map(data.phases.map(p => [p.id, p]));
+    const anchorPhase = phaseById.get(resolveAnchorPhaseId(data));
+    const phaseCalendars = getPhaseCalendars(data, calendar);
+    const plannedBufferStarts = getPlannedBufferStarts(data);
+
+    // --- Helper: Process Parallel Items ---
+    // Parallel items are not part of the dependency graph.
+    const processParallel = (idx) => {
+        const p = data.phases[idx];
+        const ref = getParallelRef(data, p);
+        if (ref && scheduled.has(ref.id)) {
+            const entry = placeRelativeToPhase(p, ref, scheduled.get(ref.id), phaseCalendars.get(p.id));
+            return { ...p, ...entry, ...getActualDates(p, today, phaseCalendars.get(p.id)) };
+        }
+
+        // If the user just checked "Parallel", we might not have dates yet.
+        // Fallback: Anchor Date start, + days.
+        let s = p.manualStartDate ? new Date(p.manualStartDate) : new Date(data.anchorDate);
+        let e = p.manualEndDate ? new Date(p.manualEndDate) : getSpanEnd(p, s, 0, phaseCalendars.get(p.id)).endDate;
+        if (isMilestone(p)) e = s;
+
+        // We trust the manual dates; days are derived from the range (sub-day units keep their amount).
+        const diff = isMilestone(p) ? 0 : ['bd', 'cd'].includes(getDurationUnit(p)) ? getDaysDiff(s, e) : p.days;
+        return { ...p, startDate: s, endDate: e, days: diff, ...getActualDates(p, today, phaseCalendars.get(p.id)) };
+    };
+
+    // --- Anchor Calculation ---
+    let anchorEntry;
+    const anchorCalendar = phaseCalendars.get(anchorPhase.id);
+    const anchorRefDates = data.anchorRef ? getExternalPhaseDates(data.anchorRef.timelineId, data.anchorRef.phaseId) : null;
+    // Calendar-day phases may begin or end on a day off
+    const isCalendarTime = getDurationUnit(anchorPhase) === 'cd';
+
+    if (anchorRefDates) {
+        // Placed like a successor of the referenced phase
+        anchorEntry = scheduleFromPredecessor({ type: data.anchorRef.type }, anchorRefDates, anchorPhase, anchorCalendar);
+    } else if (data.anchorType === 'end') {
+        const end = isCalendarTime ? anchorDateObj : ensureWorkingDayBackward(anchorDateObj, anchorCalendar);
+        anchorEntry = placeFromEnd(anchorPhase, end, 1, anchorCalendar);
+    } else {
+        const start = isCalendarTime ? anchorDateObj : ensureWorkingDayForward(anchorDateObj, anchorCalendar);
+        anchorEntry = placeFromStart(anchorPhase, start, 0, anchorCalendar);
+    }
+    const anchorStart = anchorEntry.startDate;
+
+    const scheduled = new Map();
+    scheduled.set(anchorPhase.id, anchorEntry);
+
+    // --- Actuals ---
+    // Phases that have started are pinned to what really happened (the anchor included),
+    // the passes below then reflow everything else around them.
+    const today = getToday();
+    data.phases.forEach(phase => {
+        if (!isNetworkPhase(data, phase)) return;
+        const actual = getActualDates(phase, today, phaseCalendars.get(phase.id));
+        if (actual) scheduled.set(phase.id, actual);
+    });
+
+    // --- Links into other timelines ---
+    // Those predecessors already have dates, so they count as scheduled in the forward pass
+    const externalPreds = new Map();
+    graph.order.forEach(id => {
+        const links = getExternalPredecessors(phaseById.get(id))
+            .map(link => ({ link, dates: getExternalPhaseDates(link.timelineId, link.id) }))
+            .filter(ext => ext.dates);
+        if (links.length) externalPreds.set(id, links);
+    });
+
+    // --- Forward / Backward Passes ---
+    // Successors of scheduled phases are placed as early as their predecessors allow,
+    // predecessors of scheduled phases as late as their successors allow.
+    // Repeat until every phase connected to the anchor has dates.
+    const runPasses = () => {
+        let progress = true;
+        while (progress) {
+            progress = false;
+
+            graph.order.forEach(id => {
+                if (scheduled.has(id)) return;
+                const phase = phaseById.get(id);
+                let best = null;
+                const consider = (cand) => {
+                    if (!best || getSchedulePoint(cand.startDate, cand.startOffset) > getSchedulePoint(best.startDate, best.startOffset)) best = cand;
+                };
+                (externalPreds.get(id) || []).forEach(ext => {
+                    consider(scheduleFromPredecessor(ext.link, ext.dates, phase, phaseCalendars.get(id)));
+                });
+                graph.preds.get(id).forEach(link => {
+                    if (!scheduled.has(link.id)) return;
+                    consider(scheduleFromPredecessor(link, scheduled.get(link.id), phase, phaseCalendars.get(id)));
+                });
+                if (best && plannedBufferStarts && plannedBufferStarts.has(id)) {
+                    best = absorbBufferDelay(phase, best, plannedBufferStarts.get(id), phaseCalendars.get(id));
+                }
+                if (best) {
+                    scheduled.set(id, best);
+                    progress = true;
+                }
+            });
+
+            [...graph.order].reverse().forEach(id => {
+                if (scheduled.has(id)) return;
+                const phase = phaseById.get(id);
+                let best = null;
+                graph.succs.get(id).forEach(link => {
+                    if (!scheduled.has(link.id)) return;
+                    const cand = scheduleFromSuccessor(link, scheduled.get(link.id), phase, phaseCalendars.get(id), phaseById.get(link.id));
+                    if (!best || getSchedulePoint(cand.endDate, cand.endOffset) < getSchedulePoint(best.endDate, best.endOffset)) best = cand;
+                });
+                if (best) {
+                    scheduled.set(id, best);
+                    progress = true;
+                }
+            });
+        }
+    };
+
+    runPasses();
+
+    // Phases not connected to the anchor at all start alongside it
+    graph.order.forEach(id => {
+        if (scheduled.has(id)) return;
+        const phaseCalendar = phaseCalendars.get(id);
+        const start = ensureWorkingDayForward(anchorStart, phaseCalendar);
+        scheduled.set(id, placeFromStart(phaseById.get(id), start, 0, phaseCalendar));
+        runPasses();
+    });
+
+    data.phases.forEach((phase, i) => {
+        if (isSummaryPhase(data, phase)) return; // Rolled up below
+        if (!scheduled.has(phase.id)) {
+            results[i] = processParallel(i);
+            return;
+        }
+        // links also lists cross-timeline predecessors (and the anchor reference) for the Gantt connectors
+        const links = [...graph.preds.get(phase.id), ...(externalPreds.get(phase.id) || []).map(ext => ext.link)];
+        if (phase.id === anchorPhase.id && anchorRefDates) {
+            links.push({ id: data.anchorRef.phaseId, type: data.anchorRef.type, timelineId: data.anchorRef.timelineId });
+        }
+        results[i] = { ...phase, ...scheduled.get(phase.id), links };
+    });
+
+    // Children come after their parent, so walking backwards rolls up the deepest levels first
+    for (let i = data.phases.length - 1; i >= 0; i--) {
+        if (!results[i]) results[i] = rollUpSummary(data, i, results, calendar);
+    }
+
+    return results;
+}
+
+// --- Phase Hierarchy ---
+// Sub-phases point at their parent via parentId and always follow it in data.phases
+// (a parent and all its descendants form one contiguous block), so list order is the outline order.
+// Parents ("summary phases") are not scheduled themselves, their dates roll up from the children.
+
+function isSummaryPhase(data, phase) {
+    return data.phases.some(p => p.parentId === phase.id);
+}
+
+function getAncestorPhases(data, phase) {
+    const ancestors = [];
+    let parent = data.phases.find(p => p.id === phase.parentId);
+    while (parent && ancestors.length < data.phases.length) {
+        ancestors.push(parent);
+        parent = data.phases.find(p => p.id === parent.parentId);
+    }
+    return ancestors;
+}
+
+function isAncestorPhase(data, ancestor, phase) {
+    return getAncestorPhases(data, phase).includes(ancestor);
+}
+
+// Scheduled phases below a summary phase, in list order
+function getLeafPhases(data, phaseId) {
+    const index = data.phases.findIndex(p => p.id === phaseId);
+    return data.phases.slice(index + 1, getSubtreeEnd(data, index))
+        .filter(p => isNetworkPhase(data, p))
+        .map(p => p.id);
+}
+
+function getPhaseDepth(data, phase) {
+    let depth = 0;
+    let parent = data.phases.find(p => p.id === phase.parentId);
+    while (parent && depth < data.phases.length) {
+        depth++;
+        parent = data.phases.find(p => p.id === parent.parentId);
+    }
+    return depth;
+}
+
+// Collapsed parents are view state: stored apart from appState (like the Gantt zoom),
+// so folding a parent is neither saved with the timelines nor an undo step.
+// Stored as a list of "timelineId/phaseId".
+const COLLAPSED_STORAGE_KEY = 'scheduleAppCollapsed';
+let collapsedPhases = null;
+
+function getCollapsedPhases() {
+    if (collapsedPhases === null) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(COLLAPSED_STORAGE_KEY) || '[]');
+            collapsedPhases = new Set(Array.isArray(stored) ? stored : []);
+        } catch (e) {
+            collapsedPhases = new Set();
+        }
+    }
+    return collapsedPhases;
+}
+
+function isPhaseCollapsed(data, phase) {
+    return getCollapsedPhases().has(`${getTimelineIdOf(data)}/${phase.id}`);
+}
+
+function setPhaseCollapsed(data, phase, collapsed) {
+    const key = `${getTimelineIdOf(data)}/${phase.id}`;
+    if (collapsed) getCollapsedPhases().add(key);
+    else getCollapsedPhases().delete(key);
+    localStorage.setItem(COLLAPSED_STORAGE_KEY, JSON.stringify([...getCollapsedPhases()]));
+}
+
+// States saved before collapsing moved out of appState keep it on the phases
+function migrateCollapsedPhases() {
+    appState.timelines.forEach(t => t.data.phases.forEach(p => {
+        if (!('collapsed' in p)) return;
+        if (p.collapsed) setPhaseCollapsed(t.data, p, true);
+        delete p.collapsed;
+    }));
+}
+
+function isHiddenByCollapse(data, phase) {
+    let parent = data.phases.find(p => p.id === phase.parentId);
+    for (let guard = 0; parent && guard < data.phases.length; guard++) {
+        if (isPhaseCollapsed(data, parent)) return true;
+        parent = data.phases.find(p => p.id === parent.parentId);
+    }
+    return false;
+}
+
+// Index just past the last descendant of data.phases[index]
+function getSubtreeEnd(data, index) {
+    const depth = getPhaseDepth(data, data.phases[index]);
+    let end = index + 1;
+    while (end < data.phases.length && getPhaseDepth(data, data.phases[end]) > depth) end++;
+    return end;
+}
+
+// A summary phase has no dates of its own: anchoring it anchors its first leaf (list order)
+// for a start anchor, its last leaf for an end anchor
+function resolveAnchorPhaseId(data) {
+    let phase = data.phases.find(p => p.id === data.anchorPhaseId);
+    for (let guard = 0; phase && isSummaryPhase(data, phase) && guard < data.phases.length; guard++) {
+        const children = data.phases.filter(p => p.parentId === phase.id);
+        phase = data.anchorType === 'start' ? children[0] : children[children.length - 1];
+    }
+    return phase ? phase.id : data.anchorPhaseId;
+}
+
+// Schedule entry of a summary phase from its (already computed) children
+function rollUpSummary(data, index, results, calendar) {
+    const phase = data.phases[index];
+    const children = results.filter((item, i) => item && data.phases[i].parentId === phase.id);
+
+    let startDate = children[0].startDate;
+    let endDate = children[0].endDate;
+    let weight = 0;
+    let done = 0;
+    children.forEach(child => {
+        if (child.startDate < startDate) startDate = child.startDate;
+        if (child.endDate > endDate) endDate = child.endDate;
+        const length = getDurationDays(child, calendar.hoursPerDay);
+        weight += length;
+        done += length * getPercentComplete(child) / 100;
+    });
+
+    const statuses = children.map(child => getPhaseStatus(child));
+    const status = statuses.every(s => s === 'done') ? 'done'
+        : statuses.every(s => s === 'not-started') ? 'not-started' : 'in-progress';
+
+    return {
+        ...phase,
+        actualStartDate: undefined,
+        actualEndDate: undefined,
+        startDate,
+        endDate,
+        days: countBusinessDays(startDate, endDate, calendar) + (isWorkingDay(startDate, calendar) ? 1 : 0),
+        isSummary: true,
+        status,
+        percentComplete: weight ? Math.round(done / weight * 100) : (status === 'done' ? 100 : 0)
+    };
+}
+
+// Display order of schedule items: children directly under their parent,
+// siblings reversed when `reverse` (the 'asc' sort order)
+function getOutlineOrder(items, reverse) {
+    const ids = new Set(items.map(item => item.id));
+    const byParent = new Map();
+    items.forEach(item => {
+        const key = ids.has(item.parentId) ? item.parentId : null;
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(item);
+    });
+
+    const ordered = [];
+    const visit = (parentId) => {
+        const siblings = byParent.get(parentId) || [];
+        (reverse ? [...siblings].reverse() : siblings).forEach(item => {
+            ordered.push(item);
+            visit(item.id);
+        });
+    };
+    visit(null);
+    return ordered;
+}
+
+// Restores the hierarchy invariants after loading or importing: parents must exist,
+// can't be milestones or form a loop, and each subtree sits right behind its parent.
+function normalizePhaseTree(data) {
+    const byId = new Map(data.phases.map(p => [p.id, p]));
+    data.phases.forEach(phase => {
+        if (!phase.parentId) return;
+        const parent = byId.get(phase.parentId);
+        const seen = new Set([phase.id]);
+        let ancestor = parent;
+        let loop = false;
+        while (ancestor) {
+            if (seen.has(ancestor.id)) {
+                loop = true;
+                break;
+            }
+            seen.add(ancestor.id);
+            ancestor = byId.get(ancestor.parentId);
+        }
+        if (!parent || isMilestone(parent) || loop) delete phase.parentId;
+    });
+
+    const ordered = [];
+    const visit = (parentId) => {
+        data.phases.filter(p => (p.parentId || null) === parentId).forEach(p => {
+            ordered.push(p);
+            visit(p.id);
+        });
+    };
+    visit(null);
+    data.phases = ordered;
+}
+
+// Moves a phase together with its sub-phases.
+// mode: 'before' / 'after' = sibling of the target, 'child' = last child of the target.
+// Returns false when the target is inside the moved block.
+function movePhaseBlock(data, phaseId, targetId, mode) {
+    const from = data.phases.findIndex(p => p.id === phaseId);
+    const block = data.phases.slice(from, getSubtreeEnd(data, from));
+    if (block.some(p => p.id === targetId)) return false;
+
+    data.phases.splice(from, block.length);
+    const targetIdx = data.phases.findIndex(p => p.id === targetId);
+    const target = data.phases[targetIdx];
+    const insertAt = mode === 'before' ? targetIdx : getSubtreeEnd(data, targetIdx);
+
+    const parentId = mode === 'child' ? target.id : target.parentId;
+    if (parentId) block[0].parentId = parentId;
+    else delete block[0].parentId;
+    if (mode === 'child') setPhaseCollapsed(data, target, false);
+
+    data.phases.splice(insertAt, 0, ...block);
+    return true;
+}
+
+// --- Progress ---
+
+const PHASE_STATUSES = {
+    'not-started': '未着手',
+    'in-progress': '進行中',
+    'done': '完了'
+};
+
+function getPhaseStatus(phase) {
+    if (phase.actualEndDate) return 'done';
+    if (phase.actualStartDate) return 'in-progress';
+    return PHASE_STATUSES[phase.status] ? phase.status : 'not-started';
+}
+
+function getPercentComplete(phase) {
+    const status = getPhaseStatus(phase);
+    if (status === 'done') return 100;
+    if (status === 'not-started') return 0;
+    return Math.min(100, Math.max(0, parseInt(phase.percentComplete) || 0));
+}
+
+// Dates taken from actuals, or null if the phase has not started.
+// An unfinished phase keeps its planned length from the actual start,
+// pushed out when the remaining work can no longer fit before that.
+function getActualDates(phase, today, calendar) {
+    const start = phase.actualStartDate ? parseDateStr(phase.actualStartDate) : null;
+    if (!start) return null;
+
+    const finish = phase.actualEndDate ? parseDateStr(phase.actualEndDate) : null;
+    if (finish) return { startDate: start, endDate: finish < start ? start : finish };
+
+    let end = getSpanEnd(phase, start, 0, calendar).endDate;
+    const remaining = phase.days * (100 - getPercentComplete(phase)) / 100;
+    if (remaining > 0) {
+        const from = getDurationUnit(phase) === 'cd' ? today : ensureWorkingDayForward(today, calendar);
+        const projected = getSpanEnd({ ...phase, days: remaining }, from, 0, calendar).endDate;
+        if (projected > end) end = projected;
+    }
+    return { startDate: start, endDate: end };
+}
+
+// 'late-start' / 'late-finish' when a phase should have started / finished by today, else null
+function getProgressFlag(item, today, calendar) {
+    if (item.isSummary) return null; // Flagged on the children
+    const status = getPhaseStatus(item);
+    if (status === 'done') return null;
+    if (status === 'in-progress') {
+        const plannedEnd = getSpanEnd(item, parseDateStr(item.actualStartDate), 0, calendar).endDate;
+        return plannedEnd < today ? 'late-finish' : null;
+    }
+    if (item.endDate < today) return 'late-finish';
+    if (item.startDate < today) return 'late-start';
+    return null;
+}
+
+const PROGRESS_FLAG_LABELS = {
+    'late-start': '開始遅れ',
+    'late-finish': '完了遅れ'
+};
+
+// Applies a status change from the UI, filling in or clearing actual dates to match.
+// `item` is the phase's current calculated schedule entry (may be undefined).
+function setPhaseStatus(phase, status, item) {
+    const today = normalizeDateStr(getToday());
+    const scheduledStart = item ? normalizeDateStr(item.startDate) : today;
+
+    if (status === 'not-started') {
+        delete phase.actualStartDate;
+        delete phase.actualEndDate;
+        delete phase.percentComplete;
+    } else if (status === 'in-progress') {
+        if (!phase.actualStartDate) phase.actualStartDate = scheduledStart < today ? scheduledStart : today;
+        delete phase.actualEndDate;
+    } else {
+        if (!phase.actualStartDate) phase.actualStartDate = scheduledStart < today ? scheduledStart : today;
+        phase.actualEndDate = phase.actualStartDate > today ? phase.actualStartDate : today;
+        phase.percentComplete = 100;
+    }
+    phase.status = status;
+}
+
+// --- Workload ---
+
+function getTeamMember(personId) {
+    return appState.team.find(m => m.id === personId) || null;
+}
+
+// Daily load per person across every timeline, counted on each timeline's own working days.
+// Returns Map(personId -> Map("YYYY-MM-DD" -> { load, phases: [{ timelineName, phaseName, allocation }] }))
+function calculateWorkload() {
+    const workload = new Map(appState.team.map(m => [m.id, new Map()]));
+
+    withSchedulePass(() => appState.timelines.forEach(t => {
+        const schedule = calculateSchedule(t.data);
+        if (!schedule) return;
+        const calendar = getTimelineCalendar(t.data);
+
+        schedule.forEach(item => {
+            if (item.isSummary) return;
+            (item.assignees || []).forEach(a => {
+                const days = workload.get(a.personId);
+                if (!days) return;
+                const member = getTeamMember(a.personId);
+                const leave = new Set((member.leave || []).map(l => l.date));
+                const { startOffset, endOffset } = getItemOffsets(item);
+                const d = new Date(item.startDate.getTime());
+                while (d <= item.endDate) {
+                    if (isWorkingDay(d, calendar) && !leave.has(normalizeDateStr(d))) {
+                        const key = normalizeDateStr(d);
+                        if (!days.has(key)) days.set(key, { load: 0, phases: [] });
+                        const entry = days.get(key);
+                        // Half-day and hour phases only load part of their first / last day
+                        const fraction = (key === normalizeDateStr(item.endDate) ? endOffset : 1) - (key === normalizeDateStr(item.startDate) ? startOffset : 0);
+                        const allocation = fraction < 1 ? Math.round(a.allocation * fraction) : a.allocation;
+                        entry.load += allocation;
+                        entry.phases.push({ timelineName: t.name, phaseName: item.name, allocation });
+                    }
+                    d.setDate(d.getDate() + 1);
+                }
+            });
+        });
+    }));
+
+    return workload;
+}
+
+// Dates ("YYYY-MM-DD", sorted) on which a person is booked beyond their capacity
+function getOverAllocatedDays(member, days) {
+    return [...days.entries()]
+        .filter(([, entry]) => entry.load > member.capacity)
+        .map(([date]) => date)
+        .sort();
+}
+
+// --- Critical Path ---
+// Classic CPM on top of a computed schedule: earliest dates from the project start,
+// latest dates from the project finish. Slack is counted in business days.
+// Returns Map(phaseId -> { totalSlack, freeSlack, isCritical }). Parallel phases are not included.
+// A span of no length (a used-up buffer) is the start of the next working day, whichever pass placed
+// it: placed backward it would end on the day before at full offset, placed forward it sits on its start
+function normalizeEmptySpan(phase, entry, calendar) {
+    const { startOffset, endOffset } = getItemOffsets(entry);
+    if (isMilestone(phase) || getDurationDays(phase, calendar.hoursPerDay) > 0 || startOffset < 1 || endOffset < 1) return entry;
+    const next = ensureWorkingDayForward(shiftDate(entry.endDate, 1), calendar);
+    return { startDate: next, endDate: new Date(next.getTime()), startOffset: 0, endOffset: 0 };
+}
+
+function calculateCriticalPath(data, schedule) {
+    const slackMap = new Map();
+    if (!schedule || !schedule.length) return slackMap;
+
+    const graph = buildDependencyGraph(data);
+    if (graph.cyclic.length || !graph.order.length) return slackMap;
+
+    const calendar = getTimelineCalendar(data);
+    const phaseCalendars = getPhaseCalendars(data, calendar);
+    // Buffers count with what is left of them after absorbing delays
+    const byId = new Map(schedule.map(item => [item.id, item.bufferUsed ? getRemainingBuffer(item, item.bufferUsed, calendar.hoursPerDay) : item]));
+    const nodes = graph.order.filter(id => byId.has(id));
+    if (!nodes.length) return slackMap;
+
+    let projectStart = byId.get(nodes[0]).startDate;
+    let projectFinish = byId.get(nodes[0]).endDate;
+    nodes.forEach(id => {
+        const item = byId.get(id);
+        if (item.startDate < projectStart) projectStart = item.startDate;
+        if (item.endDate > projectFinish) projectFinish = item.endDate;
+    });
+
+    // Started phases are pinned to their actual dates in both passes, like in computeSchedule
+    const pinned = (item) => item.actualStartDate
+        ? { startDate: item.startDate, endDate: item.endDate, ...getItemOffsets(item) }
+        : null;
+
+    // Forward pass: earliest start/finish
+    const early = new Map();
+    nodes.forEach(id => {
+        const item = byId.get(id);
+        let best = pinned(item);
+        if (best) {
+            early.set(id, best);
+            return;
+        }
+        graph.preds.get(id).forEach(link => {
+            if (!early.has(link.id)) return;
+            const cand = scheduleFromPredecessor(link, early.get(link.id), item, phaseCalendars.get(id));
+            if (!best || getSchedulePoint(cand.startDate, cand.startOffset) > getSchedulePoint(best.startDate, best.startOffset)) best = cand;
+        });
+        if (!best) {
+            best = placeFromStart(item, ensureWorkingDayForward(projectStart, phaseCalendars.get(id)), 0, phaseCalendars.get(id));
+        }
+        early.set(id, normalizeEmptySpan(item, best, phaseCalendars.get(id)));
+    });
+
+    // Backward pass: latest start/finish
+    const late = new Map();
+    [...nodes].reverse().forEach(id => {
+        const item = byId.get(id);
+        let best = pinned(item);
+        if (best) {
+            late.set(id, best);
+            return;
+        }
+        graph.succs.get(id).forEach(link => {
+            if (!late.has(link.id)) return;
+            const cand = scheduleFromSuccessor(link, late.get(link.id), item, phaseCalendars.get(id), byId.get(link.id));
+            if (!best || getSchedulePoint(cand.endDate, cand.endOffset) < getSchedulePoint(best.endDate, best.endOffset)) best = cand;
+        });
+        if (!best) {
+            best = placeFromEnd(item, ensureWorkingDayBackward(projectFinish, phaseCalendars.get(id)), 1, phaseCalendars.get(id));
+        }
+        late.set(id, normalizeEmptySpan(item, best, phaseCalendars.get(id)));
+    });
+
+    // Slack is counted on the phase's own calendar (owner leave days are not days it could slip into)
+    nodes.forEach(id => {
+        const item = byId.get(id);
+        const es = early.get(id);
+        const ownCalendar = phaseCalendars.get(id);
+        // Clamped: a start later than the latest allowed (pinned actuals) is critical, not negative
+        const totalSlack = Math.max(0, countBusinessDays(es.startDate, late.get(id).startDate, ownCalendar));
+
+        // Free slack: how far this phase can slip before any successor's earliest start moves
+        let freeSlack = null;
+        graph.succs.get(id).forEach(link => {
+            const allowed = normalizeEmptySpan(item, scheduleFromSuccessor(link, early.get(link.id), item, phaseCalendars.get(id), byId.get(link.id)), ownCalendar);
+            const slack = Math.max(0, countBusinessDays(es.startDate, allowed.startDate, ownCalendar));
+            if (freeSlack === null || slack < freeSlack) freeSlack = slack;
+        });
+        if (freeSlack === null) freeSlack = Math.max(0, countBusinessDays(es.endDate, projectFinish, ownCalendar));
+
+        slackMap.set(id, {
+            totalSlack,
+            freeSlack: Math.min(freeSlack, totalSlack),
+            isCritical: totalSlack <= 0
+        });
+    });
+
+    return slackMap;
+}
+
+// --- Baselines ---
+
+function captureBaseline(data, name) {
+    const schedule = calculateSchedule(data);
+    if (!schedule) return null;
+
+    const phases = {};
+    schedule.forEach(item => {
+        phases[item.id] = {
+            name: item.name,
+            start: normalizeDateStr(item.startDate),
+            end: normalizeDateStr(item.endDate)
+        };
+    });
+    return { id: Date.now().toString(), name, createdAt: new Date().toISOString(), phases };
+}
+
+function getActiveBaseline(data) {
+    return (data.baselines || []).find(b => b.id === data.activeBaselineId) || null;
+}
+
+// Business days between the baseline dates and the current ones (positive = later than planned).
+// Returns null for phases added after the baseline was taken.
+function getBaselineVariance(baseline, item, calendar) {
+    const planned = baseline && baseline.phases[item.id];
+    if (!planned) return null;
+    return {
+        start: countBusinessDays(parseDateStr(planned.start), item.startDate, calendar),
+        end: countBusinessDays(parseDateStr(planned.end), item.endDate, calendar)
+    };
+}
+
+// --- Buffers ---
+// Buffer phases are named contingency reserves. When the work in front of a buffer is late, the
+// buffer starts later but shrinks by the same number of business days, so its successors keep
+// their dates; only the delay beyond the buffer's length (the overrun) pushes them. Lateness is
+// measured against the active baseline or, without one, against the plan without actuals.
+
+function withoutActuals(phase) {
+    const { status, percentComplete, actualStartDate, actualEndDate, ...rest } = phase;
+    return rest;
+}
+
+// Map(bufferId -> planned start) for calculateSchedule, or null when nothing can be late
+function getPlannedBufferStarts(data) {
+    if (!data.phases.some(isBuffer)) return null;
+    const baseline = getActiveBaseline(data);
+    if (baseline) {
+        return new Map(data.phases.filter(p => isBuffer(p) && baseline.phases[p.id])
+            .map(p => [p.id, parseDateStr(baseline.phases[p.id].start)]));
+    }
+    if (!data.phases.some(p => p.actualStartDate)) return null;
+    const plan = calculateSchedule({ ...data, activeBaselineId: null, phases: data.phases.map(withoutActuals) });
+    return plan ? new Map(plan.filter(item => isBuffer(item)).map(item => [item.id, item.startDate])) : null;
+}
+
+// A buffer with `used` business days taken out of it
+function getRemainingBuffer(phase, used, hoursPerDay) {
+    return { ...phase, days: Math.max(0, phase.days - used * getUnitsPerDay(phase, hoursPerDay)) };
+}
+
+// Forward placement of a buffer whose predecessors put it `slip` business days after its planned start
+function absorbBufferDelay(phase, entry, plannedStart, calendar) {
+    const slip = countBusinessDays(plannedStart, entry.startDate, calendar);
+    if (slip <= 0) return entry;
+    const used = Math.min(getDurationDays(phase, calendar.hoursPerDay), slip);
+    const remaining = getRemainingBuffer(phase, used, calendar.hoursPerDay);
+    // Used up: an empty span at its start, successors continue right there
+    const placed = remaining.days > 0
+        ? placeFromStart(remaining, entry.startDate, entry.startOffset, calendar)
+        : { startDate: entry.startDate, endDate: new Date(entry.startDate.getTime()), startOffset: entry.startOffset, endOffset: entry.startOffset };
+    return { ...placed, bufferUsed: used, bufferOverrun: slip - used };
+}
+
+// { buffers: [{ id, name, days, consumed, overrun }], days, consumed } or null when there are no buffers.
+// overrun: delay beyond the buffer's length, passed on to its successors.
+function calculateBufferConsumption(data, schedule) {
+    const items = (schedule || []).filter(item => isBuffer(item) && !item.isSummary);
+    if (!items.length) return null;
+
+    const calendar = getTimelineCalendar(data);
+    const buffers = items.map(item => ({
+        id: item.id,
+        name: item.name,
+        days: getDurationDays(item, calendar.hoursPerDay),
+        consumed: item.bufferUsed || 0,
+        overrun: item.bufferOverrun || 0
+    }));
+    return {
+        buffers,
+        days: buffers.reduce((sum, b) => sum + b.days, 0),
+        consumed: buffers.reduce((sum, b) => sum + b.consumed, 0)
+    };
+}
+
+// --- Date Constraints ---
+// Dates a phase has to respect besides the timeline's anchor (e.g. a fixed kickoff and a
+// go-live deadline). The schedule is not bent to fit them: they are checked afterwards and
+// each violation is reported with its shortfall in business days.
+
+const CONSTRAINT_TYPES = {
+    SNET: '開始日以降',
+    FNLT: '完了期限',
+    MSO: '開始日指定',
+    MFO: '完了日指定'
+};
+
+function getConstraint(phase) {
+    const c = phase.constraint;
+    return c && CONSTRAINT_TYPES[c.type] && parseDateStr(c.date) ? c : null;
+}
+
+// [{ id, name, type, date, days, late }]: days = business days the phase is off by,
+// late = it starts / finishes after the constraint allows (else before)
+function checkDateConstraints(data, schedule) {
+    if (!schedule) return [];
+    const phaseCalendars = getPhaseCalendars(data, getTimelineCalendar(data));
+    const violations = [];
+
+    schedule.forEach(item => {
+        const constraint = getConstraint(item);
+        if (!constraint) return;
+        const calendar = phaseCalendars.get(item.id);
+        const isStart = constraint.type === 'SNET' || constraint.type === 'MSO';
+        const actual = isStart ? item.startDate : item.endDate;
+        // A constraint on a day off means the nearest working day inside the allowed range
+        let date = parseDateStr(constraint.date);
+        if (getDurationUnit(item) !== 'cd') {
+            date = isStart ? ensureWorkingDayForward(date, calendar) : ensureWorkingDayBackward(date, calendar);
+        }
+
+        const late = actual > date;
+        const early = actual < date;
+        const violated = constraint.type === 'SNET' ? early
+            : constraint.type === 'FNLT' ? late
+            : late || early;
+        if (!violated) return;
+        violations.push({
+            id: item.id,
+            name: item.name,
+            type: constraint.type,
+            date: constraint.date,
+            days: Math.max(1, Math.abs(countBusinessDays(date, actual, calendar))),
+            late
+        });
+    });
+    return violations;
+}
+
+// --- Fit to Period ---
+// Scales the durations of the dependency chain so it runs from a fixed start to a fixed end.
+// All adjustable phases share one scale factor (never below their minimum, locked phases keep
+// theirs). The factor is found by bisection on the real schedule span, so parallel branches,
+// lags and holidays are accounted for; the rounding leftovers then go to the phases with the
+// largest remainders while they still fit.
+
+const FIT_ITERATIONS = 40;
+
+// Started phases keep their actuals, so they stay as they are like locked ones
+function isFitAdjustable(data, phase) {
+    return isNetworkPhase(data, phase) && !isMilestone(phase) && !phase.fitLocked && !phase.actualStartDate;
+}
+
+function getFitMinimum(phase) {
+    return Math.max(1, parseInt(phase.minDays) || 1);
+}
+
+// Business days from the first start to the last finish of the dependency chain
+function getNetworkSpan(data, schedule, calendar) {
+    const items = schedule.filter((item, i) => isNetworkPhase(data, data.phases[i]));
+    if (!items.length) return 0;
+    const first = items.reduce((min, item) => item.startDate < min ? item.startDate : min, items[0].startDate);
+    const last = items.reduce((max, item) => item.endDate > max ? item.endDate : max, items[0].endDate);
+    return countBusinessDays(first, last, calendar) + (isWorkingDay(first, calendar) ? 1 : 0);
+}
+
+// { changes: [{ id, name, from, to }], days, span, anchorDate } or { error }.
+// days: business days of the period, span: what the fitted chain takes (<= days).
+function fitDurationsToPeriod(data, startStr, endStr) {
+    const calendar = getTimelineCalendar(data);
+    const start = parseDateStr(startStr) && ensureWorkingDayForward(parseDateStr(startStr), calendar);
+    const end = parseDateStr(endStr) && ensureWorkingDayBackward(parseDateStr(endStr), calendar);
+    if (!start || !end || end < start) return { error: '開始日と終了日を正しく指定してください。' };
+    const days = countBusinessDays(start, end, calendar) + 1;
+
+    const adjustable = data.phases.filter(p => isFitAdjustable(data, p) && !isSummaryPhase(data, p));
+    if (!adjustable.length) return { error: '調整できる工程がありません (固定・着手済み・並行・マイルストーン以外の工程が必要です)。' };
+
+    const getFirstStart = (schedule) => schedule.filter((item, i) => isNetworkPhase(data, data.phases[i]))
+        .reduce((min, item) => item.startDate < min ? item.startDate : min, schedule[0].startDate);
+
+    // Schedules a copy of the timeline with the given durations so that the chain starts on the
+    // period's first day: placed from the anchor once, then moved by however far it started off
+    const trial = (durations) => {
+        const copy = {
+            ...data,
+            anchorDate: normalizeDateStr(start),
+            anchorRef: undefined,
+            phases: data.phases.map(p => durations.has(p.id) ? { ...p, days: durations.get(p.id) } : p)
+        };
+        let schedule = calculateSchedule(copy);
+        if (!schedule) return null;
+        const shift = countBusinessDays(getFirstStart(schedule), start, calendar);
+        if (shift) {
+            copy.anchorDate = normalizeDateStr(shiftBusinessDays(parseDateStr(copy.anchorDate), shift, calendar));
+            schedule = calculateSchedule(copy);
+        }
+        return { copy, schedule, span: getNetworkSpan(copy, schedule, calendar) };
+    };
+    const scaled = (factor) => new Map(adjustable.map(p => [p.id, Math.max(getFitMinimum(p), Math.floor(p.days * factor))]));
+
+    let result = trial(scaled(0));
+    if (!result) return { error: 'スケジュールを計算できません。' };
+    if (result.span > days) {
+        return { error: `最小日数でも期間に収まりません (必要 ${result.span} 営業日 / 期間 ${days} 営業日)。` };
+    }
+
+    // Bisection on the factor: the largest one whose schedule still fits
+    let low = 0;
+    let high = 1;
+    while (trial(scaled(high)).span <= days && high < 1e6) {
+        low = high;
+        high *= 2;
+    }
+    for (let i = 0; i < FIT_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (trial(scaled(mid)).span <= days) low = mid;
+        else high = mid;
+    }
+    const durations = scaled(low);
+    result = trial(durations);
+
+    // Hand out the rounding leftovers, largest remainder first
+    [...adjustable]
+        .sort((a, b) => (b.days * low) % 1 - (a.days * low) % 1)
+        .forEach(p => {
+            durations.set(p.id, durations.get(p.id) + 1);
+            const next = trial(durations);
+            if (next.span <= days) result = next;
+            else durations.set(p.id, durations.get(p.id) - 1);
+        });
+
+    return {
+        changes: adjustable
+            .filter(p => durations.get(p.id) !== p.days)
+            .map(p => ({ id: p.id, name: p.name, from: p.days, to: durations.get(p.id), unit: getDurationUnit(p) })),
+        days,
+        span: result.span,
+        anchorDate: result.copy.anchorDate
+    };
+}
+
+// --- Render Logic ---
+
+// For user-typed text placed into innerHTML
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+let phaseListEl, resultContainerEl, anchorDateInput, holidaysInput, anchorPhaseSelect, anchorTypeRadios;
+let timelineSelect, addTimelineBtn, renameTimelineBtn, deleteTimelineBtn;
+let workingWeekInput, timelineCalendarsInput, holidayCalendarSelect, hoursPerDayInput;
+let baselineSelect, saveBaselineBtn, deleteBaselineBtn;
+let fitStartInput, fitEndInput, fitPreviewBtn;
+
+function bindDOMElements() {
+    phaseListEl = document.getElementById('phase-list');
+    resultContainerEl = document.getElementById('result-container');
+    anchorDateInput = document.getElementById('anchor-date-input');
+    holidaysInput = document.getElementById('holidays-input');
+    anchorPhaseSelect = document.getElementById('anchor-phase-select');
+    anchorTypeRadios = document.querySelectorAll('input[name="top-anchor-type"]');
+
+    // New Controls
+    timelineSelect = document.getElementById('timeline-select');
+    addTimelineBtn = document.getElementById('add-timeline-btn');
+    renameTimelineBtn = document.getElementById('rename-timeline-btn');
+    deleteTimelineBtn = document.getElementById('delete-timeline-btn');
+    workingWeekInput = document.getElementById('working-week-input');
+    hoursPerDayInput = document.getElementById('hours-per-day-input');
+    timelineCalendarsInput = document.getElementById('timeline-calendars-input');
+    holidayCalendarSelect = document.getElementById('holiday-calendar-select');
+    baselineSelect = document.getElementById('baseline-select');
+    saveBaselineBtn = document.getElementById('save-baseline-btn');
+    deleteBaselineBtn = document.getElementById('delete-baseline-btn');
+    fitStartInput = document.getElementById('fit-start-input');
+    fitEndInput = document.getElementById('fit-end-input');
+    fitPreviewBtn = document.getElementById('fit-preview-btn');
+}
+
+function renderTimelineSelect() {
+    if (!timelineSelect) return;
+    timelineSelect.innerHTML = '';
+    appState.timelines.forEach(t => {
+        const opt = document.createElement('option');
+        opt.value = t.id;
+        opt.textContent = t.name;
+        if (t.id === appState.activeTimelineId) opt.selected = true;
+        timelineSelect.appendChild(opt);
+    });
+}
+
+function renderPhases() {
+    if (!phaseListEl) return;
+    phaseListEl.innerHTML = '';
+
+    const data = getActiveData();
+    renderAnchorSelect();
+
+    // Calculate schedule to show dates in the list
+    const schedule = calculateSchedule(data);
+    const dateMap = {};
+    if (schedule) {
+        schedule.forEach((s, i) => {
+            dateMap[data.phases[i].id] = { start: s.startDate, end: s.endDate, days: s.days };
+        });
+    }
+
+    data.phases.forEach((phase, index) => {
+        if (isHiddenByCollapse(data, phase)) return;
+
+        const row = document.createElement('div');
+        row.className = 'phase-row draggable-item';
+        row.dataset.idx = index;
+        row.draggable = true;
+
+        const isAnchor = data.anchorPhaseId === phase.id;
+        const isSummary = isSummaryPhase(data, phase);
+        const isParallel = !!phase.isParallel && !isSummary;
+        const hasFixedDates = isParallel && !getParallelRef(data, phase);
+        const activeStyle = isAnchor ? 'border-left: 3px solid var(--accent-primary); background: rgba(56,189,248,0.1);' : '';
+        const depth = getPhaseDepth(data, phase);
+
+        row.style.cssText = activeStyle + (depth ? `margin-left: ${depth * 1.5}rem;` : '');
+        if (isSummary) row.classList.add('phase-row-summary');
+
+        // Parallel Logic: If parallel, Manual Dates Enabled, Days Disabled (calculated).
+        // If Sequential, Manual Dates Disabled (Text), Days Enabled.
+
+        // Consolidate Logic: Always use inputs.
+        // If parallel: value = manualDate, enabled.
+        // If sequential: value = calculatedDate, disabled.
+
+        let startDateVal = phase.manualStartDate || '';
+        let endDateVal = phase.manualEndDate || '';
+
+        if (!hasFixedDates) {
+            const sDates = dateMap[phase.id];
+            if (sDates) {
+                // Format YYYY-MM-DD for input[type=date]
+                const iso = (d) => {
+                    const y = d.getFullYear();
+                    const m = String(d.getMonth() + 1).padStart(2, '0');
+                    const day = String(d.getDate()).padStart(2, '0');
+                    return `${y}-${m}-${day}`;
+                };
+                startDateVal = iso(sDates.start);
+                endDateVal = iso(sDates.end);
+            }
+        }
+
+        row.innerHTML = `
+      <div style="cursor: grab; padding-right:0.5rem; color:var(--text-secondary); display:flex; flex-direction:column; align-items:center; justify-content:center; width: 30px;">
+         <span style="font-size:1.2rem;">⋮⋮</span>
+         <span style="font-size:0.7rem; font-weight:bold;">#${index + 1}</span>
+      </div>
+      
+      <div style="flex-grow:1; display:flex; align-items: center; gap:0.5rem;">
+         <div style="flex-grow:1; display:flex; flex-direction:column; gap:0.2rem;">
+             <div style="display:flex; align-items:center; gap:0.3rem;">
+                 ${isSummary ? `<button class="phase-collapse-btn" data-idx="${index}" title="${isPhaseCollapsed(data, phase) ? '展開' : '折りたたむ'}">${isPhaseCollapsed(data, phase) ? '▸' : '▾'}</button>` : ''}
+                 <input type="text" class="phase-name-input" value="${escapeHtml(phase.name)}" data-idx="${index}" style="font-weight:bold; width:100%; border:none; background:transparent; border-bottom:1px solid var(--glass-border); padding:0.2rem 0;">
+             </div>
+             ${isAnchor ? `<div style="font-size:0.75rem; color:var(--accent-primary);">📌 Anchor (${data.anchorType === 'start' ? 'Start' : 'End'})</div>` : ''}
+             ${!isParallel ? renderPredecessorPicker(data, index) : ''}
+             ${isParallel ? renderParallelRefPicker(data, index) : ''}
+             ${!isSummary ? renderProgressControls(phase, index) : ''}
+             ${!isSummary ? renderConstraintControls(phase, index) : ''}
+             ${!isSummary && !isParallel && !isMilestone(phase) ? renderFitControls(phase, index) : ''}
+             ${!isSummary ? renderAssigneePicker(phase, index) : ''}
+         </div>
+         ${isSummary ? '' : `
+         <!-- Milestone Checkbox (Icon only) -->
+         <label title="マイルストーン (期間0日)" style="cursor:pointer; display:flex; align-items:center; padding: 0.2rem; font-size:0.75rem; gap:0.1rem;">
+            <input type="checkbox" class="phase-milestone-chk" data-idx="${index}" ${isMilestone(phase) ? 'checked' : ''}>◆
+         </label>
+
+         <!-- Buffer Checkbox (Icon only) -->
+         <label title="バッファ (予備日)" style="cursor:pointer; display:flex; align-items:center; padding: 0.2rem; font-size:0.75rem; gap:0.1rem;">
+            <input type="checkbox" class="phase-buffer-chk" data-idx="${index}" ${isBuffer(phase) ? 'checked' : ''}>🛡
+         </label>
+
+         <!-- Parallel Checkbox (Icon only) -->
+         <label title="並行作業 (自動計算から除外)" style="cursor:pointer; display:flex; align-items:center; padding: 0.2rem;">
+            <input type="checkbox" class="phase-parallel-chk" data-idx="${index}" ${isParallel ? 'checked' : ''} ${isAnchor ? 'disabled' : ''}>
+         </label>`}
+      </div>
+      
+      <!-- Date/Days Area -->
+      <div style="display:flex; flex-direction:column; gap:0.2rem; align-items:flex-end; min-width: 140px;">
+          <div style="display:flex; gap:0.2rem; justify-content: flex-end; height: 24px; align-items: center;">
+            <input type="date" class="phase-start-input" data-idx="${index}" value="${startDateVal}" 
+                   style="width:105px; font-size:0.75rem; padding:0.1rem; ${!hasFixedDates ? 'color:var(--text-secondary); border:none; background:transparent;' : ''}" 
+                   ${!hasFixedDates ? 'disabled' : ''}>
+            <span style="font-size:0.75rem;">-</span>
+            <input type="date" class="phase-end-input" data-idx="${index}" value="${endDateVal}" 
+                   style="width:105px; font-size:0.75rem; padding:0.1rem; ${!hasFixedDates || isMilestone(phase) ? 'color:var(--text-secondary); border:none; background:transparent;' : ''}" 
+                   ${!hasFixedDates || isMilestone(phase) ? 'disabled' : ''}>
+          </div>
+
+          ${isSummary ? `
+          <div style="display:flex; align-items:center; gap:0.3rem; height:30px;" title="子工程から集計">
+            <span style="font-size:0.75rem; color:var(--text-secondary)">Σ ${dateMap[phase.id] ? dateMap[phase.id].days : '-'} days</span>
+          </div>` : isMilestone(phase) ? `
+          <div style="display:flex; align-items:center; gap:0.3rem; height:30px;">
+            <span style="font-size:0.75rem; color:var(--accent-secondary)">◆ Milestone</span>
+          </div>` : `
+          <div style="display:flex; align-items:center; gap:0.3rem">
+            <input type="number" class="phase-days-input" value="${phase.days}" min="1" data-idx="${index}" 
+                   style="width:70px !important; text-align:right; font-size: 0.9rem;" 
+                   ${hasFixedDates && ['bd', 'cd'].includes(getDurationUnit(phase)) ? 'readonly style="background:transparent; border:none; color:var(--text-secondary); width:70px !important; text-align:right;"' : ''}>
+            <select class="phase-unit-select" data-idx="${index}" title="期間の単位" style="font-size:0.75rem; padding:0.1rem;">
+                ${Object.entries(DURATION_UNITS).map(([unit, label]) => `<option value="${unit}" ${unit === getDurationUnit(phase) ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>`}
+      </div>
+
+      <button class="icon-btn delete-btn" data-idx="${index}" title="削除" style="margin-left: 0.5rem;">
+        🗑️
+      </button>
+    `;
+        phaseListEl.appendChild(row);
+    });
+
+    attachPhaseListeners();
+    attachDragListeners();
+    updateTopControls();
+}
+
+function renderPredecessorPicker(data, index) {
+    const phase = data.phases[index];
+    const resolved = getPhasePredecessors(data, index);
+    const own = getOwnLinks(data, phase);
+    // Implicit links to a summary block show once, as the block
+    const links = own || resolved.filter(link => link.implicit)
+        .map(link => ({ ...link, id: link.via || link.id }))
+        .filter((link, i, all) => all.findIndex(l => l.id === link.id) === i);
+    const nameOf = (id) => escapeHtml((data.phases.find(p => p.id === id) || {}).name || '?');
+    // Links to a summary phase are scheduled against its leaves
+    const labelOf = (id) => {
+        const target = data.phases.find(p => p.id === id);
+        if (!target || !isSummaryPhase(data, target)) return nameOf(id);
+        const leaves = resolved.filter(l => l.via === id).map(l => nameOf(l.id));
+        return `<span title="${leaves.length ? `→ ${leaves.join(', ')}` : ''}">Σ ${escapeHtml(target.name)}</span>`;
+    };
+
+    const inheritedChips = resolved.filter(link => link.inherited).map(link =>
+        `<span class="dep-chip dep-chip-auto" title="親工程 ${nameOf(link.inherited)} の依存">↳ ${link.type}: ${nameOf(link.via || link.id)}</span>`).join('');
+
+    const chips = links.map(link => {
+        if (link.implicit) {
+            return `<span class="dep-chip dep-chip-auto" title="自動 (前の工程の完了後)">auto: ${labelOf(link.id)}</span>`;
+        }
+        const typeOptions = DEPENDENCY_TYPES.map(t => `<option value="${t}" ${t === link.type ? 'selected' : ''}>${t}</option>`).join('');
+        return `<span class="dep-chip">${labelOf(link.id)}
+            <select class="phase-dep-type" data-idx="${index}" data-dep-id="${link.id}">${typeOptions}</select>
+            <button class="dep-remove-btn" data-idx="${index}" data-dep-id="${link.id}" title="依存を解除">✕</button>
+        </span>`;
+    }).join('');
+
+    const externalLinks = getExternalPredecessors(phase);
+    const externalChips = externalLinks.map(link => {
+        const typeOptions = DEPENDENCY_TYPES.map(t => `<option value="${t}" ${t === link.type ? 'selected' : ''}>${t}</option>`).join('');
+        return `<span class="dep-chip dep-chip-external" title="別のタイムラインの工程">${escapeHtml(getPhaseLabel(link.timelineId, link.id))}
+            <select class="phase-dep-type" data-idx="${index}" data-dep-id="${link.id}" data-dep-timeline="${link.timelineId}">${typeOptions}</select>
+            <button class="dep-remove-btn" data-idx="${index}" data-dep-id="${link.id}" data-dep-timeline="${link.timelineId}" title="依存を解除">✕</button>
+        </span>`;
+    }).join('');
+
+    // Summary phases can be linked as a whole, but not from inside their own subtree
+    const isSummary = isSummaryPhase(data, phase);
+    const candidates = data.phases.filter(p => p.id !== phase.id
+        && (isNetworkPhase(data, p) || isSummaryPhase(data, p))
+        && !isAncestorPhase(data, p, phase) && !isAncestorPhase(data, phase, p)
+        && !links.some(l => l.id === p.id));
+    // Phases of other timelines are grouped per timeline; their option values carry the timeline id
+    const externalGroups = isSummary ? '' : appState.timelines.filter(t => t.data !== data).map(t => {
+        const options = t.data.phases
+            .filter(p => !isSummaryPhase(t.data, p) && !externalLinks.some(l => l.timelineId === t.id && l.id === p.id))
+            .map(p => `<option value="${escapeHtml(JSON.stringify({ timelineId: t.id, id: p.id }))}">${escapeHtml(p.name)}</option>`).join('');
+        return options ? `<optgroup label="${escapeHtml(t.name)}">${options}</optgroup>` : '';
+    }).join('');
+    const addOptions = candidates.map(p => `<option value="${escapeHtml(p.id)}">${isSummaryPhase(data, p) ? 'Σ ' : ''}${escapeHtml(p.name)}</option>`).join('') + externalGroups;
+
+    return `
+        <div class="phase-deps">
+            <span title="前工程 (Predecessors)">🔗</span>
+            ${chips}${externalChips}${inheritedChips}
+            ${!isSummary && resolved.length + externalLinks.length ? `<label class="phase-lag" title="ラグ (+) / リード (−) 営業日">±<input type="number" class="phase-lag-input" data-idx="${index}" value="${getLag(phase)}" step="1">日</label>` : ''}
+            ${addOptions ? `<select class="phase-dep-add" data-idx="${index}"><option value="">+ 前工程</option>${addOptions}</select>` : ''}
+            ${Array.isArray(phase.predecessors) ? `<button class="dep-reset-btn" data-idx="${index}" title="自動 (リスト順) に戻す">↺</button>` : ''}
+        </div>`;
+}
+
+function renderParallelRefPicker(data, index) {
+    const phase = data.phases[index];
+    const ref = getParallelRef(data, phase);
+    const candidates = data.phases.filter(p => p.id !== phase.id && isNetworkPhase(data, p));
+    const edgeOptions = (value) => Object.entries(PHASE_EDGES)
+        .map(([edge, label]) => `<option value="${edge}" ${edge === value ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+        <div class="phase-deps">
+            <span title="並行作業の配置">⇄</span>
+            ${ref ? `<select class="parallel-ref-input" data-idx="${index}" data-field="side">${edgeOptions(ref.side)}</select><span>=</span>` : ''}
+            <select class="parallel-ref-input" data-idx="${index}" data-field="id">
+                <option value="">固定日付</option>
+                ${candidates.map(p => `<option value="${escapeHtml(p.id)}" ${ref && ref.id === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+            </select>
+            ${ref ? `
+            <span>の</span>
+            <select class="parallel-ref-input" data-idx="${index}" data-field="edge">${edgeOptions(ref.edge)}</select>
+            <label class="phase-lag" title="営業日 (− = 前)">±<input type="number" class="parallel-ref-input" data-idx="${index}" data-field="offset" value="${parseInt(ref.offset) || 0}" step="1">日</label>` : ''}
+        </div>`;
+}
+
+function renderProgressControls(phase, index) {
+    const status = getPhaseStatus(phase);
+    const statusOptions = Object.entries(PHASE_STATUSES)
+        .map(([value, label]) => `<option value="${value}" ${value === status ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+        <div class="phase-progress">
+            <select class="phase-status-select" data-idx="${index}" title="ステータス">${statusOptions}</select>
+            ${status === 'in-progress' ? `<input type="number" class="phase-percent-input" data-idx="${index}" value="${getPercentComplete(phase)}" min="0" max="100" title="進捗率"><span>%</span>` : ''}
+            ${status !== 'not-started' ? `
+            <span title="実績 (Actual)">実績</span>
+            <input type="date" class="phase-actual-start-input" data-idx="${index}" value="${phase.actualStartDate || ''}" title="実績開始日">
+            <span>-</span>
+            <input type="date" class="phase-actual-end-input" data-idx="${index}" value="${phase.actualEndDate || ''}" title="実績完了日">` : ''}
+        </div>`;
+}
+
+function renderConstraintControls(phase, index) {
+    const constraint = getConstraint(phase);
+    const typeOptions = Object.entries(CONSTRAINT_TYPES)
+        .map(([type, label]) => `<option value="${type}" ${constraint && constraint.type === type ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+        <div class="phase-progress">
+            <span title="日付制約">📅</span>
+            <select class="phase-constraint-type" data-idx="${index}" title="日付制約"><option value="">制約なし</option>${typeOptions}</select>
+            ${constraint ? `<input type="date" class="phase-constraint-date" data-idx="${index}" value="${constraint.date}">` : ''}
+        </div>`;
+}
+
+function renderFitControls(phase, index) {
+    if (phase.actualStartDate) {
+        return `<div class="phase-progress" title="期間に合わせる時の設定"><span>⤢ 着手済みのため調整しません</span></div>`;
+    }
+    return `
+        <div class="phase-progress" title="期間に合わせる時の設定">
+            <span>⤢ 最小</span>
+            <input type="number" class="phase-min-days-input" data-idx="${index}" value="${phase.minDays || ''}" min="1" placeholder="1">
+            <label style="display:flex; align-items:center; gap:0.1rem; cursor:pointer;">
+                <input type="checkbox" class="phase-fit-lock-chk" data-idx="${index}" ${phase.fitLocked ? 'checked' : ''}>🔒 固定
+            </label>
+        </div>`;
+}
+
+function renderAssigneePicker(phase, index) {
+    if (!appState.team.length) return '';
+    const assignees = (phase.assignees || []).filter(a => getTeamMember(a.personId));
+
+    const chips = assignees.map(a => `
+        <span class="dep-chip">${escapeHtml(getTeamMember(a.personId).name)}
+            <input type="number" class="phase-allocation-input" data-idx="${index}" data-person-id="${a.personId}" value="${a.allocation}" min="1" max="100" title="割当率 (%)">%
+            <button class="assignee-remove-btn" data-idx="${index}" data-person-id="${a.personId}" title="割当を解除">✕</button>
+        </span>`).join('');
+
+    const candidates = appState.team.filter(m => !assignees.some(a => a.personId === m.id));
+    const addOptions = candidates.map(m => `<option value="${m.id}">${escapeHtml(m.name)}</option>`).join('');
+    const ownerOptions = appState.team
+        .map(m => `<option value="${m.id}" ${m.id === phase.ownerId ? 'selected' : ''}>${escapeHtml(m.name)}</option>`).join('');
+
+    return `
+        <div class="phase-deps">
+            <span title="担当者 (Assignees)">👤</span>
+            ${chips}
+            ${candidates.length ? `<select class="phase-assignee-add" data-idx="${index}"><option value="">+ 担当者</option>${addOptions}</select>` : ''}
+            <span title="オーナー (休暇を工期に反映)">👑</span>
+            <select class="phase-owner-select" data-idx="${index}"><option value="">なし</option>${ownerOptions}</select>
+        </div>`;
+}
+
+function renderTeamRoster() {
+    const rosterEl = document.getElementById('team-roster');
+    if (!rosterEl) return;
+
+    if (!appState.team.length) {
+        rosterEl.innerHTML = '<span style="font-size:0.85rem; color:var(--text-secondary);">メンバーが登録されていません</span>';
+        return;
+    }
+
+    rosterEl.innerHTML = appState.team.map(m => `
+        <div class="team-member-row">
+            <input type="text" class="team-name-input" data-person-id="${m.id}" value="${escapeHtml(m.name)}">
+            <input type="number" class="team-capacity-input" data-person-id="${m.id}" value="${m.capacity}" min="1" max="200" title="キャパシティ (1日あたり %)">
+            <span>%</span>
+            <button class="icon-btn team-delete-btn" data-person-id="${m.id}" title="削除" style="color:var(--danger);">🗑️</button>
+        </div>
+        <details class="team-leave">
+            <summary>🏖 休暇 (${(m.leave || []).length}日)</summary>
+            <textarea class="json-input team-leave-input" data-person-id="${m.id}" style="width:100%; min-height:60px;"
+                placeholder="2026-08-10..2026-08-14 夏季休暇">${escapeHtml(m.leaveText || '')}</textarea>
+        </details>`).join('');
+}
+
+function renderAnchorSelect() {
+    if (!anchorPhaseSelect) return;
+    const data = getActiveData();
+    anchorPhaseSelect.innerHTML = '';
+    data.phases.forEach(phase => {
+        const opt = document.createElement('option');
+        opt.value = phase.id;
+        opt.textContent = '\u3000'.repeat(getPhaseDepth(data, phase)) + phase.name;
+        opt.selected = phase.id === data.anchorPhaseId;
+        anchorPhaseSelect.appendChild(opt);
+    });
+    renderAnchorRefSelect();
+}
+
+// The anchor either sits on a fixed date or follows a phase of another timeline
+function renderAnchorRefSelect() {
+    const refSelect = document.getElementById('anchor-ref-select');
+    const refType = document.getElementById('anchor-ref-type');
+    if (!refSelect) return;
+    const data = getActiveData();
+    const ref = data.anchorRef;
+
+    const groups = appState.timelines.filter(t => t.data !== data).map(t => {
+        const options = t.data.phases.map(p => {
+            const selected = ref && ref.timelineId === t.id && ref.phaseId === p.id;
+            return `<option value="${escapeHtml(JSON.stringify({ timelineId: t.id, phaseId: p.id }))}" ${selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>`;
+        }).join('');
+        return options ? `<optgroup label="${escapeHtml(t.name)}">${options}</optgroup>` : '';
+    }).join('');
+    refSelect.innerHTML = `<option value="">日付で指定 (Fixed date)</option>${groups}`;
+
+    if (refType) {
+        refType.value = ref ? ref.type : 'FS';
+        refType.disabled = !ref;
+    }
+    if (anchorDateInput) anchorDateInput.disabled = !!ref;
+    anchorTypeRadios?.forEach(radio => { radio.disabled = !!ref; });
+}
+
+function updateTopControls() {
+    const data = getActiveData();
+    if (anchorTypeRadios) {
+        anchorTypeRadios.forEach(radio => {
+            radio.checked = radio.value === data.anchorType;
+        });
+    }
+    if (anchorDateInput && anchorDateInput.value !== data.anchorDate) {
+        anchorDateInput.value = data.anchorDate;
+    }
+    renderWorkingWeek();
+    renderTimelineCalendars();
+    renderBaselineSelect();
+    if (fitStartInput) fitStartInput.value = data.fitRange ? data.fitRange.start : '';
+    if (fitEndInput) fitEndInput.value = data.fitRange ? data.fitRange.end : '';
+
+    // Update Holidays Input from GLOBAL state
     if (holidaysInput) {
-        holidaysInput.value = (appState.globalHolidays || []).join('\n');
+        holidaysInput.value = getCustomHolidayText();
+    }
+}
+
+function renderWorkingWeek() {
+    if (!workingWeekInput) return;
+    const data = getActiveData();
+    const WEEKDAYS_JA = ['日', '月', '火', '水', '木', '金', '土'];
+    // Monday first
+    workingWeekInput.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(w => `
+        <label class="weekday-toggle">
+            <input type="checkbox" value="${w}" ${data.workingWeek.includes(w) ? 'checked' : ''}>
+            <span>${WEEKDAYS_JA[w]}</span>
+        </label>`).join('');
+    if (hoursPerDayInput) hoursPerDayInput.value = data.hoursPerDay;
+}
+
+function getCustomHolidayText() {
+    const cal = getActiveHolidayCalendar();
+    if (!cal) return '';
+    if (typeof cal.text === 'string') return cal.text;
+    return formatHolidayText(cal.holidays.filter(h => h.source === 'custom'));
+}
+
+function renderHolidayErrors(errors) {
+    const el = document.getElementById('holidays-errors');
+    if (!el) return;
+    el.innerHTML = errors.map(err => `<div>L${err.line}: ${escapeHtml(err.reason)} <code>${escapeHtml(err.text)}</code></div>`).join('');
+    el.style.display = errors.length ? 'block' : 'none';
+}
+
+function renderNationalHolidays() {
+    const summary = document.getElementById('jp-holiday-summary');
+    if (!summary) return;
+    const cal = getActiveHolidayCalendar();
+    const jp = cal ? cal.holidays.filter(h => h.source === 'jp') : [];
+
+    const fromInput = document.getElementById('jp-holiday-from');
+    const toInput = document.getElementById('jp-holiday-to');
+    const thisYear = new Date().getFullYear();
+    if (fromInput && !fromInput.value) fromInput.value = jp.length ? jp[0].date.slice(0, 4) : thisYear;
+    if (toInput && !toInput.value) toInput.value = jp.length ? jp[jp.length - 1].date.slice(0, 4) : thisYear + 1;
+
+    if (!jp.length) {
+        summary.innerHTML = '<summary>未生成</summary>';
+        return;
+    }
+    const rows = jp.map(h => `<div>${h.date} ${escapeHtml(h.name)}</div>`).join('');
+    summary.innerHTML = `<summary>${jp.length} 日 (${jp[0].date} - ${jp[jp.length - 1].date})</summary>
+        <div style="max-height:200px; overflow-y:auto; margin-top:0.5rem;">${rows}</div>`;
+}
+
+function renderTimelineCalendars() {
+    if (!timelineCalendarsInput) return;
+    const data = getActiveData();
+    timelineCalendarsInput.innerHTML = appState.holidayCalendars.map(cal => `
+        <label class="weekday-toggle">
+            <input type="checkbox" value="${cal.id}" ${data.calendarIds.includes(cal.id) ? 'checked' : ''}>
+            <span>${escapeHtml(cal.name)}</span>
+        </label>`).join('');
+}
+
+function renderBaselineSelect() {
+    if (!baselineSelect) return;
+    const data = getActiveData();
+    baselineSelect.innerHTML = '<option value="">(なし)</option>';
+    data.baselines.forEach(b => {
+        const opt = document.createElement('option');
+        opt.value = b.id;
+        opt.textContent = `${b.name} (${normalizeDateStr(new Date(b.createdAt))})`;
+        opt.selected = b.id === data.activeBaselineId;
+        baselineSelect.appendChild(opt);
+    });
+    if (deleteBaselineBtn) deleteBaselineBtn.disabled = !data.activeBaselineId;
+}
+
+function renderHolidayCalendarSelect() {
+    if (!holidayCalendarSelect) return;
+    holidayCalendarSelect.innerHTML = '';
+    appState.holidayCalendars.forEach(cal => {
+        const opt = document.createElement('option');
+        opt.value = cal.id;
+        opt.textContent = `${cal.name} (${cal.holidays.length})`;
+        if (cal.id === appState.activeCalendarId) opt.selected = true;
+        holidayCalendarSelect.appendChild(opt);
+    });
+}
+
+// Refreshes everything in Global Settings that depends on the selected holiday calendar
+function renderHolidaySettings() {
+    renderHolidayCalendarSelect();
+    renderNationalHolidays();
+
+    const icsSummary = document.getElementById('ics-summary');
+    if (icsSummary) {
+        const cal = getActiveHolidayCalendar();
+        const count = cal ? cal.holidays.filter(h => h.source === 'ics').length : 0;
+        icsSummary.textContent = count ? `${count} 日 読込済` : '';
     }
+
+    const text = getCustomHolidayText();
+    if (holidaysInput) holidaysInput.value = text;
+    renderHolidayErrors(parseHolidayText(text).errors);
 }
 
 function attachPhaseListeners() {
@@ -464,7 +2624,7 @@ function attachPhaseListeners() {
         el.addEventListener('input', (e) => {
             const data = getActiveData();
             data.phases[e.target.dataset.idx].name = e.target.value;
-            saveState();
+            saveState(`name:${data.phases[e.target.dataset.idx].id}`);
             renderAnchorSelect();
             updateSchedule();
         });
@@ -486,6 +2646,13 @@ function attachPhaseListeners() {
 
             phase.isParallel = e.target.checked;
 
+            if (findDependencyCycle(data).length) {
+                phase.isParallel = !phase.isParallel;
+                e.target.checked = phase.isParallel;
+                alert("This change would create a dependency cycle.");
+                return;
+            }
+
             // Init default manual dates if becoming parallel
             if (phase.isParallel) {
                 if (!phase.manualStartDate) phase.manualStartDate = data.anchorDate;
@@ -498,17 +2665,143 @@ function attachPhaseListeners() {
         });
     });
 
+    document.querySelectorAll('.parallel-ref-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const data = getActiveData();
+            const phase = data.phases[parseInt(e.target.dataset.idx)];
+            const field = e.target.dataset.field;
+            if (field === 'id' && !e.target.value) {
+                // Back to fixed dates: keep the phase where the reference put it
+                const item = (calculateSchedule(data) || []).find(i => i.id === phase.id);
+                if (item) {
+                    phase.manualStartDate = normalizeDateStr(item.startDate);
+                    phase.manualEndDate = normalizeDateStr(item.endDate);
+                }
+                delete phase.parallelRef;
+            } else if (field === 'id') {
+                phase.parallelRef = { side: 'start', edge: 'start', offset: 0, ...phase.parallelRef, id: e.target.value };
+            } else {
+                phase.parallelRef[field] = field === 'offset' ? parseInt(e.target.value) || 0 : e.target.value;
+            }
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-constraint-type').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const data = getActiveData();
+            const phase = data.phases[parseInt(e.target.dataset.idx)];
+            const type = e.target.value;
+            if (!type) {
+                delete phase.constraint;
+            } else {
+                // New constraints start out at the phase's current date
+                let date = getConstraint(phase) ? phase.constraint.date : null;
+                if (!date) {
+                    const item = (calculateSchedule(data) || []).find(i => i.id === phase.id);
+                    const isStart = type === 'SNET' || type === 'MSO';
+                    date = item ? normalizeDateStr(isStart ? item.startDate : item.endDate) : data.anchorDate;
+                }
+                phase.constraint = { type, date };
+            }
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-constraint-date').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            if (!e.target.value) return;
+            phase.constraint.date = e.target.value;
+            saveState();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-min-days-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            const val = parseInt(e.target.value);
+            if (val > 1) phase.minDays = val;
+            else delete phase.minDays;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-fit-lock-chk').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            if (e.target.checked) phase.fitLocked = true;
+            else delete phase.fitLocked;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-milestone-chk').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            if (e.target.checked) {
+                phase.type = 'milestone';
+                phase.days = 0;
+                if (phase.manualStartDate) phase.manualEndDate = phase.manualStartDate;
+            } else {
+                delete phase.type;
+                phase.days = 1;
+            }
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-buffer-chk').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            if (e.target.checked) {
+                phase.type = 'buffer';
+                phase.days = Math.max(1, phase.days);
+            } else {
+                delete phase.type;
+            }
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-lag-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[parseInt(e.target.dataset.idx)];
+            const lag = parseInt(e.target.value) || 0;
+            if (lag) phase.lag = lag;
+            else delete phase.lag;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
     // NEW: Manual Date Inputs
     document.querySelectorAll('.phase-start-input').forEach(el => {
         el.addEventListener('change', (e) => {
             const idx = parseInt(e.target.dataset.idx);
             const data = getActiveData();
-            data.phases[idx].manualStartDate = e.target.value;
+            const phase = data.phases[idx];
+            phase.manualStartDate = e.target.value;
+            if (isMilestone(phase)) phase.manualEndDate = e.target.value;
             // Auto update days?
-            const s = new Date(data.phases[idx].manualStartDate);
-            const eDate = new Date(data.phases[idx].manualEndDate || data.phases[idx].manualStartDate);
-            if (!isNaN(s) && !isNaN(eDate)) {
-                data.phases[idx].days = getDaysDiff(s, eDate);
+            const s = parseDateStr(phase.manualStartDate);
+            const eDate = parseDateStr(phase.manualEndDate || phase.manualStartDate);
+            if (s && eDate && !isMilestone(phase)) {
+                phase.days = getFixedRangeDays(phase, s, eDate, getPhaseCalendar(getTimelineCalendar(data), phase));
             }
             saveState();
             updateSchedule(); // Re-render logic will update calculated fields
@@ -519,12 +2812,13 @@ function attachPhaseListeners() {
         el.addEventListener('change', (e) => {
             const idx = parseInt(e.target.dataset.idx);
             const data = getActiveData();
-            data.phases[idx].manualEndDate = e.target.value;
+            const phase = data.phases[idx];
+            phase.manualEndDate = e.target.value;
             // Auto update days
-            const s = new Date(data.phases[idx].manualStartDate || data.phases[idx].manualEndDate);
-            const eDate = new Date(data.phases[idx].manualEndDate);
-            if (!isNaN(s) && !isNaN(eDate)) {
-                data.phases[idx].days = getDaysDiff(s, eDate);
+            const s = parseDateStr(phase.manualStartDate || phase.manualEndDate);
+            const eDate = parseDateStr(phase.manualEndDate);
+            if (s && eDate) {
+                phase.days = getFixedRangeDays(phase, s, eDate, getPhaseCalendar(getTimelineCalendar(data), phase));
             }
             saveState();
             updateSchedule();
@@ -546,6 +2840,213 @@ function attachPhaseListeners() {
         });
     });
 
+    document.querySelectorAll('.phase-unit-select').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const data = getActiveData();
+            const phase = data.phases[parseInt(e.target.dataset.idx)];
+            const hoursPerDay = getTimelineCalendar(data).hoursPerDay;
+            // Keep the length: 1 business day becomes 2 half days or 8 hours
+            const length = getDurationDays(phase, hoursPerDay);
+            if (e.target.value === 'bd') delete phase.durationUnit;
+            else phase.durationUnit = e.target.value;
+            phase.days = Math.max(1, Math.round(length * getUnitsPerDay(phase, hoursPerDay)));
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-collapse-btn').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const data = getActiveData();
+            const phase = data.phases[parseInt(e.target.dataset.idx)];
+            setPhaseCollapsed(data, phase, !isPhaseCollapsed(data, phase));
+            renderPhases();
+            renderGantt();
+        });
+    });
+
+    // Progress
+    document.querySelectorAll('.phase-status-select').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const idx = parseInt(e.target.dataset.idx);
+            const data = getActiveData();
+            const schedule = calculateSchedule(data);
+            setPhaseStatus(data.phases[idx], e.target.value, schedule && schedule[idx]);
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-percent-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const data = getActiveData();
+            const val = Math.min(100, Math.max(0, parseInt(e.target.value) || 0));
+            e.target.value = val;
+            data.phases[e.target.dataset.idx].percentComplete = val;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-actual-start-input, .phase-actual-end-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[e.target.dataset.idx];
+            const field = e.target.classList.contains('phase-actual-start-input') ? 'actualStartDate' : 'actualEndDate';
+            if (e.target.value) phase[field] = e.target.value;
+            else delete phase[field];
+
+            // A finish without a start means the phase has not started at all
+            if (!phase.actualStartDate) delete phase.actualEndDate;
+            phase.status = getPhaseStatus(phase);
+            if (phase.status === 'done') phase.percentComplete = 100;
+
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    // Assignees
+    document.querySelectorAll('.phase-assignee-add').forEach(el => {
+        el.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            const phase = getActiveData().phases[e.target.dataset.idx];
+            phase.assignees = (phase.assignees || []).concat({ personId: e.target.value, allocation: 100 });
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-owner-select').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[e.target.dataset.idx];
+            if (e.target.value) phase.ownerId = e.target.value;
+            else delete phase.ownerId;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-allocation-input').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const phase = getActiveData().phases[e.target.dataset.idx];
+            const assignee = (phase.assignees || []).find(a => a.personId === e.target.dataset.personId);
+            if (!assignee) return;
+            const val = Math.min(100, Math.max(1, parseInt(e.target.value) || 100));
+            e.target.value = val;
+            assignee.allocation = val;
+            saveState();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.assignee-remove-btn').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const btn = e.target.closest('.assignee-remove-btn');
+            const phase = getActiveData().phases[btn.dataset.idx];
+            phase.assignees = (phase.assignees || []).filter(a => a.personId !== btn.dataset.personId);
+            if (!phase.assignees.length) delete phase.assignees;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    // Predecessor Picker
+    document.querySelectorAll('.phase-dep-add').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const idx = parseInt(e.target.dataset.idx);
+            const value = e.target.value;
+            if (!value) return;
+            const data = getActiveData();
+            const phase = data.phases[idx];
+            const previous = phase.predecessors;
+            const previousExternal = phase.externalPredecessors;
+
+            if (value.startsWith('{')) {
+                // Phase of another timeline
+                phase.externalPredecessors = [...getExternalPredecessors(phase), { ...JSON.parse(value), type: 'FS' }];
+            } else {
+                // Switching from the implicit chain keeps the current predecessor
+                const links = getOwnLinks(data, phase) || getPhasePredecessors(data, idx)
+                    .filter(l => l.implicit).map(l => ({ id: l.via || l.id, type: l.type }))
+                    .filter((l, i, all) => all.findIndex(m => m.id === l.id) === i);
+                phase.predecessors = [...links, { id: value, type: 'FS' }];
+            }
+
+            if (findDependencyCycle(data).length || findTimelineCycle(appState.activeTimelineId).length) {
+                phase.predecessors = previous;
+                phase.externalPredecessors = previousExternal;
+                if (!previous) delete phase.predecessors;
+                if (!previousExternal) delete phase.externalPredecessors;
+                alert("This dependency would create a cycle.");
+                renderPhases();
+                return;
+            }
+
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.phase-dep-type').forEach(el => {
+        el.addEventListener('change', (e) => {
+            const data = getActiveData();
+            const phase = data.phases[parseInt(e.target.dataset.idx)];
+            const timelineId = e.target.dataset.depTimeline;
+            const links = timelineId ? getExternalPredecessors(phase).filter(l => l.timelineId === timelineId) : (phase.predecessors || []);
+            const link = links.find(l => l.id === e.target.dataset.depId);
+            if (!link) return;
+            link.type = e.target.value;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.dep-remove-btn').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const btn = e.target.closest('.dep-remove-btn');
+            const data = getActiveData();
+            const phase = data.phases[parseInt(btn.dataset.idx)];
+            const timelineId = btn.dataset.depTimeline;
+            if (timelineId) {
+                phase.externalPredecessors = getExternalPredecessors(phase).filter(l => l.id !== btn.dataset.depId || l.timelineId !== timelineId);
+                if (!phase.externalPredecessors.length) delete phase.externalPredecessors;
+            } else {
+                phase.predecessors = (phase.predecessors || []).filter(l => l.id !== btn.dataset.depId);
+            }
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
+    document.querySelectorAll('.dep-reset-btn').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const btn = e.target.closest('.dep-reset-btn');
+            const data = getActiveData();
+            const phase = data.phases[parseInt(btn.dataset.idx)];
+            delete phase.predecessors;
+
+            if (findDependencyCycle(data).length) {
+                alert("Resetting to list order would create a cycle.");
+                renderPhases();
+                return;
+            }
+
+            saveState();
+            renderPhases();
+            updateSchedule();
+        });
+    });
+
     document.querySelectorAll('.delete-btn').forEach(el => {
         el.addEventListener('click', (e) => {
             const btn = e.target.closest('.delete-btn');
@@ -554,12 +3055,37 @@ function attachPhaseListeners() {
             const data = getActiveData();
             const deletedId = data.phases[idx].id;
 
+            // Parallel phases placed relative to the deleted phase keep their current dates
+            const schedule = calculateSchedule(data) || [];
+            data.phases.forEach(p => {
+                if (!p.parallelRef || p.parallelRef.id !== deletedId) return;
+                const item = schedule.find(i => i.id === p.id);
+                if (item) {
+                    p.manualStartDate = normalizeDateStr(item.startDate);
+                    p.manualEndDate = normalizeDateStr(item.endDate);
+                }
+                delete p.parallelRef;
+            });
+
+            // Sub-phases move up to the deleted phase's parent
+            const parentId = data.phases[idx].parentId;
+            data.phases.forEach(p => {
+                if (p.parentId !== deletedId) return;
+                if (parentId) p.parentId = parentId;
+                else delete p.parentId;
+            });
+
             if (deletedId === data.anchorPhaseId) {
                 data.phases.splice(idx, 1);
                 data.anchorPhaseId = data.phases[0]?.id || '';
             } else {
                 data.phases.splice(idx, 1);
             }
+            // Drop links pointing at the deleted phase, here and in other timelines
+            data.phases.forEach(p => {
+                if (Array.isArray(p.predecessors)) p.predecessors = p.predecessors.filter(l => l.id !== deletedId);
+            });
+            removeExternalReferences(appState.activeTimelineId, deletedId);
             saveState();
             renderPhases();
             updateSchedule();
@@ -567,6 +3093,17 @@ function attachPhaseListeners() {
     });
 }
 
+// Dropping on the right part of a row nests the dragged phase under that row (indent),
+// anywhere else moves it next to the row at the row's level (reorder / outdent)
+const NEST_DROP_RATIO = 0.6;
+
+function getDropMode(e, row) {
+    const rect = row.getBoundingClientRect();
+    const phase = getActiveData().phases[parseInt(row.dataset.idx)];
+    if (isMilestone(phase)) return 'sibling'; // Milestones can't have sub-phases
+    return e.clientX - rect.left > rect.width * NEST_DROP_RATIO ? 'child' : 'sibling';
+}
+
 function attachDragListeners() {
     const draggables = document.querySelectorAll('.draggable-item');
     draggables.forEach(draggable => {
@@ -577,24 +3114,41 @@ function attachDragListeners() {
         });
         draggable.addEventListener('dragend', () => {
             draggable.classList.remove('dragging');
-            document.querySelectorAll('.phase-row').forEach(row => row.classList.remove('drag-over'));
+            document.querySelectorAll('.phase-row').forEach(row => row.classList.remove('drag-over', 'drag-over-nest'));
         });
         draggable.addEventListener('dragover', (e) => {
             e.preventDefault();
             const draggingItem = document.querySelector('.dragging');
-            if (draggable !== draggingItem) draggable.classList.add('drag-over');
+            if (draggable === draggingItem) return;
+            const nest = getDropMode(e, draggable) === 'child';
+            draggable.classList.toggle('drag-over', !nest);
+            draggable.classList.toggle('drag-over-nest', nest);
         });
-        draggable.addEventListener('dragleave', () => draggable.classList.remove('drag-over'));
+        draggable.addEventListener('dragleave', () => draggable.classList.remove('drag-over', 'drag-over-nest'));
         draggable.addEventListener('drop', (e) => {
             e.preventDefault();
-            draggable.classList.remove('drag-over');
+            draggable.classList.remove('drag-over', 'drag-over-nest');
             const fromIdx = parseInt(e.dataTransfer.getData('text/plain'));
             const toIdx = parseInt(draggable.dataset.idx);
             if (fromIdx === toIdx) return;
 
             const data = getActiveData();
-            const movedItem = data.phases.splice(fromIdx, 1)[0];
-            data.phases.splice(toIdx, 0, movedItem);
+            const previous = JSON.stringify(data.phases);
+            let mode = getDropMode(e, draggable);
+            if (mode === 'sibling') mode = fromIdx < toIdx ? 'after' : 'before';
+
+            if (!movePhaseBlock(data, data.phases[fromIdx].id, data.phases[toIdx].id, mode)) {
+                alert("A phase cannot be moved into its own sub-phases.");
+                return;
+            }
+
+            // The implicit chain follows list order, so a move can close a cycle
+            if (findDependencyCycle(data).length) {
+                data.phases = JSON.parse(previous);
+                alert("This order would create a dependency cycle.");
+                return;
+            }
+
             saveState();
             renderPhases();
             updateSchedule();
@@ -607,15 +3161,25 @@ function renderSchedule() {
     const schedule = calculateSchedule();
     const data = getActiveData();
 
+    const cycle = findDependencyCycle(data);
+    if (cycle.length) {
+        const names = cycle.map(id => escapeHtml(data.phases.find(p => p.id === id).name)).join(' → ');
+        resultContainerEl.innerHTML = `<div style="padding:2rem;text-align:center; color:var(--danger);">依存関係が循環しています: ${names}</div>`;
+        return;
+    }
+    const timelineCycle = findTimelineCycle(appState.activeTimelineId);
+    if (timelineCycle.length) {
+        const names = timelineCycle.map(id => escapeHtml(appState.timelines.find(t => t.id === id).name)).join(' → ');
+        resultContainerEl.innerHTML = `<div style="padding:2rem;text-align:center; color:var(--danger);">タイムライン間の参照が循環しています: ${names}</div>`;
+        return;
+    }
+
     if (!schedule || !schedule.length) {
         resultContainerEl.innerHTML = '<div style="padding:2rem;text-align:center;">設定を確認してください</div>';
         return;
     }
 
-    let displayList = [...schedule];
-    if (data.sortOrder === 'asc') {
-        displayList.reverse();
-    }
+    const displayList = getOutlineOrder(schedule, data.sortOrder === 'asc');
 
     const sortBtn = document.getElementById('sort-toggle-btn');
     if (sortBtn) {
@@ -624,10 +3188,40 @@ function renderSchedule() {
         sortBtn.innerHTML = `<span>${label} ${arrow}</span>`;
     }
 
+    const slackMap = calculateCriticalPath(data, schedule);
+    const calendar = getTimelineCalendar(data);
+    const phaseCalendars = getPhaseCalendars(data, calendar);
+    const baseline = getActiveBaseline(data);
+    const fmtVariance = (n) => n === 0 ? '±0' : (n > 0 ? `+${n}` : `${n}`);
+    const today = getToday();
+
     let html = '<div style="display:flex; flex-direction:column; gap:1.5rem; padding-top:1rem;">';
+    const constraintViolations = checkDateConstraints(data, schedule);
+    const violations = new Map(constraintViolations.map(v => [v.id, v]));
+    html += renderConstraintWarnings(constraintViolations);
+    html += renderBufferReport(calculateBufferConsumption(data, schedule), baseline);
     displayList.forEach(item => {
         const isAnchor = item.id === data.anchorPhaseId;
-        const highlight = isAnchor ? `border-left-color: var(--accent-primary); background: rgba(56, 189, 248, 0.05);` : '';
+        const slack = slackMap.get(item.id);
+        const slackLabel = !slack ? '' : slack.isCritical
+            ? ` · <span class="slack-critical">🔥 Critical</span>`
+            : ` · slack ${slack.totalSlack}日 (free ${slack.freeSlack}日)`;
+        const holidayNames = getHolidayNamesInRange(item.startDate, item.endDate, phaseCalendars.get(item.id));
+        let varianceLabel = '';
+        if (baseline) {
+            const variance = getBaselineVariance(baseline, item, calendar);
+            varianceLabel = !variance
+                ? `<div class="timeline-subtitle">📐 ${escapeHtml(baseline.name)}: 新規</div>`
+                : `<div class="timeline-subtitle ${variance.end > 0 ? 'variance-late' : ''}" title="ベースライン比 (営業日)">
+                    📐 開始 ${fmtVariance(variance.start)}日 / 完了 ${fmtVariance(variance.end)}日</div>`;
+        }
+        const status = getPhaseStatus(item);
+        const flag = getProgressFlag(item, today, phaseCalendars.get(item.id));
+        const progressLabel = ` · ${PHASE_STATUSES[status]}${status === 'in-progress' ? ` ${getPercentComplete(item)}%` : ''}`
+            + (flag ? ` <span class="progress-flag">⚠ ${PROGRESS_FLAG_LABELS[flag]}</span>` : '');
+        const depth = getPhaseDepth(data, item);
+        const highlight = (isAnchor ? `border-left-color: var(--accent-primary); background: rgba(56, 189, 248, 0.05);` : '')
+            + (depth ? `margin-left: ${depth * 1.25}rem;` : '');
         const WORKDAYS_JA = ['日', '月', '火', '水', '木', '金', '土'];
         const fmt = (d) => `${d.getMonth() + 1}/${d.getDate()} (${WORKDAYS_JA[d.getDay()]})`;
 
@@ -635,33 +3229,238 @@ function renderSchedule() {
       <div class="timeline-item" style="${highlight}">
         <div style="display:flex; justify-content:space-between; align-items:flex-end;">
             <div>
-                <div class="timeline-title">${item.name}</div>
-                <div class="timeline-subtitle">${item.days} 営業日</div>
+                <div class="timeline-title">${item.isSummary ? 'Σ ' : ''}${escapeHtml(item.name)}</div>
+                <div class="timeline-subtitle">${isMilestone(item) ? '◆ マイルストーン' : item.isSummary ? `${item.days} 営業日` : `${isBuffer(item) ? '🛡 バッファ ' : ''}${formatDuration(item)}${item.bufferUsed ? ` (消費 ${item.bufferUsed})` : ''}`}${getLag(item) ? ` · ${getLag(item) > 0 ? 'ラグ' : 'リード'} ${fmtVariance(getLag(item))}日` : ''}${slackLabel}${progressLabel}</div>
             </div>
             <div style="text-align:right;">
                 <div class="timeline-date" style="font-size:0.9rem; color:var(--text-primary);">
-                   ${fmt(item.startDate)} - ${fmt(item.endDate)}
+                   ${isMilestone(item) ? `◆ ${fmt(item.startDate)}` : `${fmt(item.startDate)} - ${fmt(item.endDate)}`}
                 </div>
+                ${holidayNames.length ? `<div class="timeline-subtitle" title="期間中の休日">🎌 ${escapeHtml(holidayNames.join(', '))}</div>` : ''}
+                ${getConstraint(item) ? `<div class="timeline-subtitle ${violations.has(item.id) ? 'variance-late' : ''}" title="日付制約">
+                    📅 ${CONSTRAINT_TYPES[item.constraint.type]} ${fmt(parseDateStr(item.constraint.date))}</div>` : ''}
+                ${varianceLabel}
             </div>
         </div>
       </div>`;
     });
-    html += '</div>';
-    resultContainerEl.innerHTML = html;
+    html += '</div>';
+    resultContainerEl.innerHTML = html;
+}
+
+// Warning panel of date constraint violations (timelineName set on entries from several timelines)
+function renderConstraintWarnings(violations) {
+    if (!violations.length) return '';
+    const items = violations.map(v => `
+        <li>${v.timelineName ? `${escapeHtml(v.timelineName)} > ` : ''}<strong>${escapeHtml(v.name)}</strong>:
+            ${CONSTRAINT_TYPES[v.type]} ${v.date} — ${v.days} 営業日${v.late ? '遅れ' : '早い'}</li>`).join('');
+
+    return `
+      <div class="constraint-warnings">
+        <div class="timeline-title">⚠ 日付制約の違反 (${violations.length}件)</div>
+        <ul>${items}</ul>
+      </div>`;
+}
+
+function renderBufferReport(report, baseline) {
+    if (!report) return '';
+    const fmtDays = (n) => Math.round(n * 10) / 10;
+    const percent = (used, total) => total > 0 ? Math.round(used / total * 100) : 0;
+    const rows = report.buffers.map(b => `
+        <div class="buffer-report-row">
+            <span>${escapeHtml(b.name)}</span>
+            <span class="buffer-meter" title="${percent(b.consumed, b.days)}%"><span style="width:${percent(b.consumed, b.days)}%"></span></span>
+            <span class="${b.overrun ? 'variance-late' : ''}">${fmtDays(b.consumed)} / ${fmtDays(b.days)}日${b.overrun ? ` (超過 ${fmtDays(b.overrun)}日)` : ''}</span>
+        </div>`).join('');
+
+    return `
+      <div class="buffer-report" title="比較対象: ${escapeHtml(baseline ? baseline.name : '実績なしの計画')}">
+        <div class="timeline-title">🛡 バッファ消費 ${fmtDays(report.consumed)} / ${fmtDays(report.days)}日 (${percent(report.consumed, report.days)}%)</div>
+        ${rows}
+      </div>`;
+}
+
+// --- Gantt Zoom ---
+// The scale is a plain px-per-day value: the level buttons jump to presets, Ctrl+wheel zooms
+// in between. It is a view setting, so it's stored apart from appState (and the undo history).
+
+const GANTT_ZOOM_STORAGE_KEY = 'scheduleAppGanttZoom';
+const GANTT_ZOOM_LEVELS = [
+    { id: 'day', label: '日', pxPerDay: 30 },
+    { id: 'week', label: '週', pxPerDay: 12 },
+    { id: 'month', label: '月', pxPerDay: 4 },
+    { id: 'quarter', label: '四半期', pxPerDay: 1.5 }
+];
+const GANTT_MIN_PX_PER_DAY = 1;
+const GANTT_MAX_PX_PER_DAY = 60;
+
+let ganttPxPerDay = null;
+
+function getGanttPxPerDay() {
+    if (ganttPxPerDay === null) {
+        const stored = parseFloat(localStorage.getItem(GANTT_ZOOM_STORAGE_KEY));
+        ganttPxPerDay = stored >= GANTT_MIN_PX_PER_DAY && stored <= GANTT_MAX_PX_PER_DAY ? stored : GANTT_ZOOM_LEVELS[0].pxPerDay;
+    }
+    return ganttPxPerDay;
+}
+
+function setGanttPxPerDay(value) {
+    ganttPxPerDay = Math.min(GANTT_MAX_PX_PER_DAY, Math.max(GANTT_MIN_PX_PER_DAY, value));
+    localStorage.setItem(GANTT_ZOOM_STORAGE_KEY, String(ganttPxPerDay));
+}
+
+// Zoom level a scale falls into (by its header units)
+function getGanttZoomLevel(pxPerDay) {
+    if (pxPerDay >= 18) return 'day';
+    if (pxPerDay >= 6) return 'week';
+    if (pxPerDay >= 2.5) return 'month';
+    return 'quarter';
+}
+
+// Header tiers for a scale: [top, bottom] units
+function getTimeScaleUnits(pxPerDay) {
+    const level = getGanttZoomLevel(pxPerDay);
+    return level === 'day' || level === 'week' ? ['month', level] : ['year', level];
+}
+
+function getTimeUnitKey(date, unit) {
+    const y = date.getFullYear();
+    const m = date.getMonth() + 1;
+    if (unit === 'day') return { key: normalizeDateStr(date), label: `${date.getDate()}` };
+    if (unit === 'week') {
+        const iso = getIsoWeek(date);
+        return { key: `${iso.year}-W${iso.week}`, label: `W${iso.week}`, title: `${iso.year}-W${String(iso.week).padStart(2, '0')}` };
+    }
+    if (unit === 'month') return { key: `${y}-${m}`, label: `${m}月`, fullLabel: `${y}年${m}月` };
+    if (unit === 'quarter') return { key: `${y}-Q${Math.ceil(m / 3)}`, label: `Q${Math.ceil(m / 3)}` };
+    return { key: `${y}`, label: `${y}年` };
+}
+
+// Splits the chart's days into consecutive segments of a unit: [{ key, label, title?, date, offset, days }]
+function buildTimeScale(firstDate, totalDays, unit) {
+    const segments = [];
+    const d = new Date(firstDate.getTime());
+    for (let i = 0; i < totalDays; i++) {
+        const info = getTimeUnitKey(d, unit);
+        const last = segments[segments.length - 1];
+        if (last && last.key === info.key) {
+            last.days++;
+        } else {
+            segments.push({ ...info, date: new Date(d.getTime()), offset: i, days: 1 });
+        }
+        d.setDate(d.getDate() + 1);
+    }
+    return segments;
+}
+
+function renderGanttZoomControls() {
+    const level = getGanttZoomLevel(getGanttPxPerDay());
+    document.querySelectorAll('.gantt-zoom-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.zoom === level);
+    });
+}
+
+// Zooms around a point of the chart (px from the container's left edge), which stays where it is
+function zoomGantt(pxPerDay, focusX = null) {
+    const container = document.getElementById('gantt-container');
+    const oldPx = getGanttPxPerDay();
+    const x = focusX === null && container ? container.clientWidth / 2 : focusX;
+    const focusDay = container ? (container.scrollLeft + x) / oldPx : 0;
+
+    setGanttPxPerDay(pxPerDay);
+    renderGantt();
+    if (container) container.scrollLeft = focusDay * getGanttPxPerDay() - x;
 }
 
 // --- Gantt Chart Logic ---
 
+// The chart is virtualized: renderGantt lays the whole chart out as a model (scale, rows with
+// their y offsets, bar geometry) without touching the DOM, and renderGanttWindow only draws the
+// rows and columns inside the scroll viewport. Row elements are kept between renders and only
+// rebuilt when the data they are drawn from changed (see getGanttRowSignature), so editing one phase
+// doesn't rebuild the chart.
+
+const GANTT_ROW_HEIGHT = 40;   // .gantt-row
+const GANTT_GROUP_HEIGHT = 30; // Timeline / workload headers
+const GANTT_OVERSCAN_PX = 200; // Rows drawn beyond the viewport edges
+const GANTT_COLUMN_CHUNK = 60; // Days; the column window grows in chunks so scrolling rarely redraws columns
+
+let ganttView = null; // { container, canvas, header, rowsLayer, grid, arrows, todayLine, model, rowEls, columnKey }
+
 function renderGantt() {
     const container = document.getElementById('gantt-container');
     if (!container) return;
 
-    // Clear previous
+    const model = buildGanttModel();
+    const warningsEl = document.getElementById('gantt-warnings');
+    if (warningsEl) warningsEl.innerHTML = model ? renderConstraintWarnings(model.violations) : '';
+    if (!model) {
+        ganttView = null;
+        container.innerHTML = '<div style="padding:1rem; text-align:center; color:var(--text-secondary);">No schedule data</div>';
+        return;
+    }
+
+    if (!ganttView || ganttView.container !== container || !container.contains(ganttView.canvas)) {
+        ganttView = createGanttView(container);
+    }
+
+    // A new scale or range moves every row: drop the cached elements
+    const scaleKey = `${model.minDate.getTime()}|${model.totalDays}|${model.pxPerDay}`;
+    if (!ganttView.model || ganttView.scaleKey !== scaleKey) {
+        ganttView.rowEls.forEach(entry => entry.el.remove());
+        ganttView.rowEls.clear();
+        ganttView.scaleKey = scaleKey;
+    }
+    ganttView.model = model;
+    ganttView.columnKey = null; // Header and grid follow the new model
+
+    ganttView.canvas.style.width = `${model.width}px`;
+    ganttView.rowsLayer.style.height = `${model.height}px`;
+    renderGanttWindow();
+
+    // ATTACH LISTENERS
+    attachGanttListeners(container);
+    renderGanttZoomControls();
+}
+
+function createGanttView(container) {
     container.innerHTML = '';
 
+    // --- WRAPPER ---
+    // Create a canvas wrapper to hold everything. This ensures correct scrolling.
+    const canvas = document.createElement('div');
+    canvas.className = 'gantt-canvas';
+
+    const header = document.createElement('div');
+    header.className = 'gantt-header';
+    header.innerHTML = '<div class="gantt-header-tier gantt-header-top"></div><div class="gantt-header-tier"></div>';
+
+    // Rows are absolutely positioned at their model offset inside this layer
+    const rowsLayer = document.createElement('div');
+    rowsLayer.className = 'gantt-rows';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const grid = document.createElementNS(SVG_NS, 'svg');
+    grid.setAttribute('class', 'gantt-grid-lines');
+
+    const arrows = document.createElementNS(SVG_NS, 'svg');
+    arrows.setAttribute('class', 'gantt-dependencies');
+
+    const todayLine = document.createElement('div');
+    todayLine.className = 'gantt-today-line';
+
+    rowsLayer.append(grid, arrows, todayLine);
+    canvas.append(header, rowsLayer);
+    container.appendChild(canvas);
+
+    return { container, canvas, header, rowsLayer, grid, arrows, todayLine, model: null, scaleKey: null, rowEls: new Map(), columnKey: null };
+}
+
+// Lays out every row of every timeline (plus the workload rows) without creating elements
+function buildGanttModel() {
     // Collect all schedules
     const allSchedules = [];
-    appState.timelines.forEach(t => {
+    withSchedulePass(() => appState.timelines.forEach(t => {
         const sch = calculateSchedule(t.data);
         if (sch && sch.length > 0) {
             allSchedules.push({
@@ -669,12 +3468,9 @@ function renderGantt() {
                 items: sch
             });
         }
-    });
+    }));
 
-    if (allSchedules.length === 0) {
-        container.innerHTML = '<div style="padding:1rem; text-align:center; color:var(--text-secondary);">No schedule data</div>';
-        return;
-    }
+    if (allSchedules.length === 0) return null;
 
     // 1. Determine Global Date Range
     let minDate = new Date(allSchedules[0].items[0].startDate);
@@ -685,154 +3481,518 @@ function renderGantt() {
             if (p.startDate < minDate) minDate = new Date(p.startDate);
             if (p.endDate > maxDate) maxDate = new Date(p.endDate);
         });
+
+        // Keep constraint markers in view
+        group.items.forEach(p => {
+            const constraint = getConstraint(p);
+            if (!constraint) return;
+            const date = parseDateStr(constraint.date);
+            if (date < minDate) minDate = new Date(date);
+            if (date > maxDate) maxDate = new Date(date);
+        });
+
+        // Keep ghost bars of the chosen baseline in view
+        const baseline = getActiveBaseline(group.info.data);
+        if (baseline) {
+            Object.values(baseline.phases).forEach(p => {
+                const start = parseDateStr(p.start);
+                const end = parseDateStr(p.end);
+                if (start && start < minDate) minDate = start;
+                if (end && end > maxDate) maxDate = end;
+            });
+        }
     });
 
     // Add buffer
     minDate.setDate(minDate.getDate() - 3);
     maxDate.setDate(maxDate.getDate() + 3);
 
-    // 2. Constants
-    const PX_PER_DAY = 30;
+    // 2. Scale
+    const pxPerDay = getGanttPxPerDay();
     const totalDays = Math.floor((maxDate - minDate) / (1000 * 60 * 60 * 24)) + 1;
-    const totalWidth = totalDays * PX_PER_DAY;
+    const dayOffset = (date) => Math.floor((date - minDate) / (1000 * 60 * 60 * 24));
+
+    // 3. Rows (Groups)
+    const rows = [];
+    const bars = new Map(); // "timelineId:phaseId" -> { row, left, width }
+    const bands = []; // Phase rows of one timeline, shaded with its calendar by renderGanttGrid
+    const violations = [];
+    let top = 0;
+    const addRow = (row) => {
+        rows.push({ ...row, top });
+        top += row.height;
+        return rows[rows.length - 1];
+    };
 
-    // --- WRAPPER ---
-    // Create a canvas wrapper to hold everything. This ensures correct scrolling.
-    const canvas = document.createElement('div');
-    canvas.style.width = `${totalWidth}px`;
-    canvas.style.position = 'relative'; // Anchor for absolute grid lines
-    canvas.style.minHeight = '100px';
+    allSchedules.forEach(group => {
+        const context = {
+            info: group.info,
+            slackMap: calculateCriticalPath(group.info.data, group.items),
+            calendar: getTimelineCalendar(group.info.data),
+            baseline: getActiveBaseline(group.info.data)
+        };
+        context.phaseCalendars = getPhaseCalendars(group.info.data, context.calendar);
+        context.calendarKey = JSON.stringify([context.calendar.workingWeek, [...context.calendar.holidays.keys()], context.calendar.hoursPerDay]);
+        const groupViolations = checkDateConstraints(group.info.data, group.items);
+        context.violations = new Map(groupViolations.map(v => [v.id, v]));
+        groupViolations.forEach(v => violations.push({ ...v, timelineName: group.info.name }));
+        addRow({ key: `group:${group.info.id}`, kind: 'group', height: GANTT_GROUP_HEIGHT, label: `📂 ${group.info.name}` });
+        const bandTop = top;
+
+        // Sort items for display
+        const displayList = getOutlineOrder(group.items, group.info.data.sortOrder === 'asc')
+            .filter(item => !isHiddenByCollapse(group.info.data, item));
 
-    // 3. Create Header Row
-    const headerRow = document.createElement('div');
-    headerRow.className = 'gantt-header';
-    headerRow.style.width = '100%'; // Match canvas
+        displayList.forEach(item => {
+            // Half-day and hour phases only cover part of their first / last day
+            const { startOffset, endOffset } = isMilestone(item) ? { startOffset: 0, endOffset: 1 } : getItemOffsets(item);
+            const barLeft = (dayOffset(item.startDate) + startOffset) * pxPerDay;
+            const barWidth = (getDaysDiff(item.startDate, item.endDate) - startOffset - (1 - endOffset)) * pxPerDay;
+            const row = addRow({ key: `${group.info.id}:${item.id}`, kind: 'phase', height: GANTT_ROW_HEIGHT, context, item, barLeft, barWidth });
+
+            // Geometry of the drawn bar, for the dependency arrows
+            const bar = isMilestone(item)
+                ? { left: barLeft + pxPerDay / 2 - 9, width: 18 }
+                : { left: barLeft, width: Math.max(2, barWidth - Math.min(4, pxPerDay / 4)) };
+            bars.set(row.key, { row, ...bar });
+        });
+        bands.push({ calendar: context.calendar, top: bandTop, height: top - bandTop });
+    });
 
-    let currentDate = new Date(minDate);
-    const gridCols = [];
+    // 4. Workload (daily load per person over all timelines)
+    if (appState.team.length) {
+        const workload = calculateWorkload();
+        const members = appState.team.map(member => {
+            const days = workload.get(member.id);
+            return { member, days, overDays: getOverAllocatedDays(member, days) };
+        });
+        const overCount = members.reduce((sum, m) => sum + m.overDays.length, 0);
+        addRow({ key: 'workload', kind: 'workload-header', height: GANTT_GROUP_HEIGHT, overCount });
+        members.forEach(m => addRow({ key: `workload:${m.member.id}`, kind: 'workload', height: GANTT_ROW_HEIGHT, ...m }));
+    }
 
-    for (let i = 0; i < totalDays; i++) {
-        const cell = document.createElement('div');
-        cell.className = 'gantt-header-cell';
-        cell.style.width = `${PX_PER_DAY}px`;
+    return { allSchedules, minDate, totalDays, pxPerDay, width: totalDays * pxPerDay, height: top, rows, bars, bands, violations, today: getToday() };
+}
 
-        const d = currentDate.getDate();
-        const m = currentDate.getMonth() + 1;
-        const w = currentDate.getDay(); // 0=Sun, 6=Sat
+// Draws what's inside the viewport. full = every row and column (e.g. for image export).
+// Without layout (clientHeight 0) everything is drawn as well.
+function renderGanttWindow(full = false) {
+    if (!ganttView || !ganttView.model) return;
+    const { container, rowsLayer, model } = ganttView;
+    const { pxPerDay, totalDays } = model;
+
+    // Visible window, in rows-layer coordinates and in days
+    const hasLayout = !full && container.clientHeight > 0;
+    const viewTop = hasLayout ? container.scrollTop - rowsLayer.offsetTop - GANTT_OVERSCAN_PX : -Infinity;
+    const viewBottom = hasLayout ? container.scrollTop - rowsLayer.offsetTop + container.clientHeight + GANTT_OVERSCAN_PX : Infinity;
+    let colStart = 0;
+    let colEnd = totalDays;
+    if (hasLayout) {
+        colStart = Math.max(0, (Math.floor(container.scrollLeft / pxPerDay / GANTT_COLUMN_CHUNK) - 1) * GANTT_COLUMN_CHUNK);
+        colEnd = Math.min(totalDays, (Math.ceil((container.scrollLeft + container.clientWidth) / pxPerDay / GANTT_COLUMN_CHUNK) + 1) * GANTT_COLUMN_CHUNK);
+    }
 
-        let label = `${d}`;
-        if (i === 0 || d === 1) label = `${m}/${d}`;
+    const columnKey = `${colStart}:${colEnd}`;
+    const columnsChanged = ganttView.columnKey !== columnKey;
+    ganttView.columnKey = columnKey;
+    if (columnsChanged) {
+        renderGanttHeader(colStart, colEnd);
+        renderGanttGrid(colStart, colEnd);
+    }
 
-        cell.textContent = label;
-        if (w === 0 || w === 6) {
-            cell.style.backgroundColor = 'rgba(255,255,255,0.02)';
-            cell.style.color = '#ef4444';
+    // Rows: keep unchanged elements (only moving them), rebuild changed ones, drop the ones scrolled out of view
+    const visible = model.rows.filter(row => row.top + row.height >= viewTop && row.top <= viewBottom);
+    const visibleKeys = new Set(visible.map(row => row.key));
+    ganttView.rowEls.forEach((entry, key) => {
+        if (!visibleKeys.has(key)) {
+            entry.el.remove();
+            ganttView.rowEls.delete(key);
+        }
+    });
+    visible.forEach(row => {
+        const signature = getGanttRowSignature(row, colStart, colEnd);
+        const cached = ganttView.rowEls.get(row.key);
+        if (cached && cached.signature === signature) {
+            cached.el.style.top = `${row.top}px`;
+            return;
         }
+        const el = buildGanttRow(row, colStart, colEnd);
+        el.style.top = `${row.top}px`;
+        if (cached) cached.el.replaceWith(el);
+        else rowsLayer.appendChild(el);
+        ganttView.rowEls.set(row.key, { el, signature });
+    });
+
+    // Today marker (center of today's column)
+    const todayOffset = Math.floor((model.today - model.minDate) / (1000 * 60 * 60 * 24));
+    const showToday = todayOffset >= 0 && todayOffset < totalDays;
+    ganttView.todayLine.style.display = showToday ? '' : 'none';
+    if (showToday) ganttView.todayLine.style.left = `${todayOffset * pxPerDay + pxPerDay / 2}px`;
+
+    // Dependency Arrows
+    drawDependencyArrows(model, viewTop, viewBottom);
+}
+
+// Both header tiers, cells only for the column window
+function renderGanttHeader(colStart, colEnd) {
+    const { model, header } = ganttView;
+    const { minDate, totalDays, pxPerDay } = model;
+    const [topUnit, bottomUnit] = getTimeScaleUnits(pxPerDay);
+    const [topTier, bottomTier] = header.children;
+
+    // Header shows the calendar of the timeline being edited;
+    // each timeline's rows are shaded with their own (see renderGanttGrid)
+    const activeCalendar = getTimelineCalendar(getActiveData());
+    const inWindow = (segment) => segment.offset + segment.days > colStart && segment.offset < colEnd;
+    const createCell = (segment, label) => {
+        const cell = document.createElement('div');
+        cell.className = 'gantt-header-cell';
+        cell.style.left = `${segment.offset * pxPerDay}px`;
+        cell.style.width = `${segment.days * pxPerDay}px`;
+        cell.textContent = label;
+        if (segment.title) cell.title = segment.title;
+        return cell;
+    };
+
+    topTier.innerHTML = '';
+    buildTimeScale(minDate, totalDays, topUnit).filter(inWindow).forEach(segment => {
+        const cell = createCell(segment, segment.fullLabel || segment.label);
+        cell.title = cell.textContent;
+        topTier.appendChild(cell);
+    });
 
-        if (isHoliday(currentDate)) {
-            cell.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
-            cell.style.color = '#ef4444';
+    bottomTier.innerHTML = '';
+    buildTimeScale(minDate, totalDays, bottomUnit).filter(inWindow).forEach(segment => {
+        const cell = createCell(segment, segment.label);
+        if (bottomUnit === 'day') {
+            if (!activeCalendar.workingWeek.includes(segment.date.getDay())) {
+                cell.style.backgroundColor = 'rgba(255,255,255,0.02)';
+                cell.style.color = '#ef4444';
+            }
+            if (isHoliday(segment.date, activeCalendar)) {
+                cell.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
+                cell.style.color = '#ef4444';
+                cell.title = `${segment.key} ${activeCalendar.holidays.get(segment.key) || '休日'}`;
+            }
         }
+        bottomTier.appendChild(cell);
+    });
+}
 
-        headerRow.appendChild(cell);
+// Global Grid Lines: one SVG line per lower header unit in the column window, over the
+// non-working days of each timeline's calendar and the owners' leave on their phase rows
+function renderGanttGrid(colStart, colEnd) {
+    const { model, grid } = ganttView;
+    const { minDate, pxPerDay } = model;
+    const [, bottomUnit] = getTimeScaleUnits(model.pxPerDay);
+    grid.setAttribute('width', model.width);
+    grid.setAttribute('height', model.height);
+
+    const shading = [];
+    const shade = (offset, top, height, color) => shading.push(`<rect x="${offset * pxPerDay}" y="${top}" width="${pxPerDay}" height="${height}" fill="${color}"></rect>`);
+    model.bands.forEach(({ calendar, top, height }) => {
+        const d = shiftDate(minDate, colStart);
+        for (let i = colStart; i < colEnd; i++) {
+            if (!calendar.workingWeek.includes(d.getDay())) shade(i, top, height, 'rgba(255, 255, 255, 0.03)');
+            if (calendar.holidays.has(normalizeDateStr(d))) shade(i, top, height, 'rgba(239, 68, 68, 0.1)');
+            d.setDate(d.getDate() + 1);
+        }
+    });
+    // Personal leave (see getPhaseCalendar) in amber
+    model.rows.forEach(row => {
+        const calendar = row.kind === 'phase' && row.context.phaseCalendars.get(row.item.id);
+        if (!calendar || !calendar.leave) return;
+        calendar.leave.forEach((name, key) => {
+            const offset = Math.round((parseDateStr(key) - minDate) / (1000 * 60 * 60 * 24));
+            if (offset >= colStart && offset < colEnd) shade(offset, row.top, row.height, 'rgba(251, 191, 36, 0.18)');
+        });
+    });
 
-        gridCols.push({
-            isWeekend: (w === 0 || w === 6),
-            isHoliday: isHoliday(currentDate),
-            left: i * PX_PER_DAY
+    const lines = buildTimeScale(model.minDate, model.totalDays, bottomUnit)
+        .filter(segment => segment.offset + segment.days > colStart && segment.offset < colEnd)
+        .map(segment => {
+            const x = (segment.offset + segment.days) * model.pxPerDay - 0.5;
+            return `<line x1="${x}" y1="0" x2="${x}" y2="${model.height}"></line>`;
         });
+    grid.innerHTML = shading.join('') + lines.join('');
+}
+
+// What a row is drawn from: renderGanttWindow keeps the element while this stays the same
+function getGanttRowSignature(row, colStart, colEnd) {
+    if (row.kind === 'group') return row.label;
+    if (row.kind === 'workload-header') return `${row.overCount}`;
+    if (row.kind === 'workload') return JSON.stringify([colStart, colEnd, row.member, row.overDays, [...row.days]]);
+
+    const { item, context, barLeft, barWidth } = row;
+    const { info, slackMap, baseline, violations, calendarKey } = context;
+    const parallelRef = getParallelRef(info.data, item);
+    const parallelTarget = parallelRef && info.data.phases.find(p => p.id === parallelRef.id);
+    return JSON.stringify([
+        item, barLeft, barWidth, info.id, info.name, item.id === info.data.anchorPhaseId, calendarKey,
+        ganttView.model.today.getTime(), slackMap.get(item.id), violations.get(item.id),
+        baseline && [baseline.name, baseline.phases[item.id]],
+        parallelTarget && parallelTarget.name,
+        item.isSummary && [getPhaseDepth(info.data, item), isPhaseCollapsed(info.data, item)],
+        [item.ownerId, ...(item.assignees || []).map(a => a.personId)].map(getTeamMember)
+    ]);
+}
 
-        currentDate.setDate(currentDate.getDate() + 1);
+function buildGanttRow(row, colStart, colEnd) {
+    if (row.kind === 'phase') return buildGanttPhaseRow(row);
+    if (row.kind === 'workload') return buildWorkloadRow(row, colStart, colEnd);
+
+    // Group Header
+    const groupHeader = document.createElement('div');
+    groupHeader.className = 'gantt-row';
+    groupHeader.style.background = 'rgba(0,0,0,0.2)';
+    groupHeader.style.height = `${GANTT_GROUP_HEIGHT}px`;
+
+    const groupLabel = document.createElement('div');
+    groupLabel.style.padding = '0 1rem';
+    groupLabel.style.fontWeight = 'bold';
+    if (row.kind === 'workload-header') {
+        groupLabel.style.color = row.overCount ? 'var(--danger)' : 'var(--text-primary)';
+        groupLabel.textContent = `👥 Workload (全タイムライン)${row.overCount ? ` ⚠ 過負荷 ${row.overCount} 日` : ''}`;
+    } else {
+        groupLabel.style.color = 'var(--text-primary)';
+        groupLabel.textContent = row.label;
     }
+    groupHeader.appendChild(groupLabel);
+    return groupHeader;
+}
 
-    canvas.appendChild(headerRow);
+function buildGanttPhaseRow(row) {
+    const { item, context, barLeft, barWidth } = row;
+    const { info, slackMap, calendar: groupCalendar, phaseCalendars, baseline, violations } = context;
+    const { minDate, pxPerDay, today } = ganttView.model;
+    const fmtVariance = (n) => n > 0 ? `+${n}` : `${n}`;
+    const barGap = Math.min(4, pxPerDay / 4); // Keeps adjacent bars apart, shrinks when zoomed out
+
+    const rowEl = document.createElement('div');
+    rowEl.className = 'gantt-row';
+
+    const bar = document.createElement('div');
+    bar.className = 'gantt-bar';
+    bar.style.left = `${barLeft}px`;
+    bar.style.width = `${Math.max(2, barWidth - barGap)}px`;
+
+    bar.textContent = item.name;
+    bar.title = isMilestone(item)
+        ? `${info.name} > ${item.name}\n◆ ${item.startDate.toLocaleDateString()}`
+        : `${info.name} > ${item.name}\n${item.startDate.toLocaleDateString()} - ${item.endDate.toLocaleDateString()}\n(${item.isSummary ? `${item.days} days` : formatDuration(item)})`;
+
+    const assigneeNames = (item.assignees || [])
+        .filter(a => getTeamMember(a.personId))
+        .map(a => `${getTeamMember(a.personId).name} ${a.allocation}%`);
+    if (assigneeNames.length) bar.title += `\n👤 ${assigneeNames.join(', ')}`;
+    const owner = item.ownerId && getTeamMember(item.ownerId);
+    if (owner) {
+        const leaveDays = (owner.leave || []).filter(l => {
+            const date = parseDateStr(l.date);
+            return date >= item.startDate && date <= item.endDate && isWorkingDay(date, groupCalendar);
+        }).length;
+        bar.title += `\n👑 ${owner.name}${leaveDays ? ` (休暇 ${leaveDays}日)` : ''}`;
+    }
 
-    // 4. Create Rows (Groups)
-    allSchedules.forEach(group => {
-        // Group Header
-        const groupHeader = document.createElement('div');
-        groupHeader.className = 'gantt-row';
-        groupHeader.style.width = '100%';
-        groupHeader.style.background = 'rgba(0,0,0,0.2)';
-        groupHeader.style.height = '30px';
-
-        const groupLabel = document.createElement('div');
-        groupLabel.style.padding = '0 1rem';
-        groupLabel.style.fontWeight = 'bold';
-        groupLabel.style.color = 'var(--text-primary)';
-        groupLabel.textContent = `📂 ${group.info.name}`;
+    const slack = slackMap.get(item.id);
+    if (slack) {
+        bar.title += `\nSlack: ${slack.totalSlack} (free ${slack.freeSlack})`;
+        if (slack.isCritical) bar.classList.add('gantt-bar-critical');
+    }
 
-        groupHeader.appendChild(groupLabel);
-        canvas.appendChild(groupHeader);
+    const planned = baseline && baseline.phases[item.id];
+    if (planned) {
+        const plannedStart = parseDateStr(planned.start);
+        const plannedEnd = parseDateStr(planned.end);
+        const ghost = document.createElement('div');
+        ghost.className = 'gantt-baseline-bar';
+        ghost.style.left = `${Math.floor((plannedStart - minDate) / (1000 * 60 * 60 * 24)) * pxPerDay}px`;
+        ghost.style.width = `${Math.max(2, getDaysDiff(plannedStart, plannedEnd) * pxPerDay - barGap)}px`;
+        ghost.title = `${baseline.name}: ${plannedStart.toLocaleDateString()} - ${plannedEnd.toLocaleDateString()}`;
+        rowEl.appendChild(ghost);
+
+        const variance = getBaselineVariance(baseline, item, groupCalendar);
+        bar.title += `\nBaseline: start ${fmtVariance(variance.start)}, end ${fmtVariance(variance.end)}`;
+    }
 
-        // Sort items for display
-        let displayList = [...group.items];
-        if (group.info.data.sortOrder === 'asc') displayList.reverse();
+    if (isBuffer(item)) {
+        bar.classList.add('gantt-bar-buffer');
+        bar.title += '\n🛡 Buffer';
+    }
+    if (getLag(item)) bar.title += `\nLag: ${fmtVariance(getLag(item))}`;
+    const constraint = getConstraint(item);
+    if (constraint) {
+        // Marker on the constraint date: left edge of the day for start constraints, right edge for finish ones
+        const isStart = constraint.type === 'SNET' || constraint.type === 'MSO';
+        const marker = document.createElement('div');
+        marker.className = 'gantt-constraint-marker';
+        marker.style.left = `${(Math.floor((parseDateStr(constraint.date) - minDate) / (1000 * 60 * 60 * 24)) + (isStart ? 0 : 1)) * pxPerDay}px`;
+        marker.title = `${CONSTRAINT_TYPES[constraint.type]} ${constraint.date}`;
+        rowEl.appendChild(marker);
+
+        const violation = violations.get(item.id);
+        bar.title += `\n📅 ${marker.title}`;
+        if (violation) {
+            bar.classList.add('gantt-bar-constraint');
+            marker.classList.add('gantt-constraint-violated');
+            bar.title += ` (⚠ ${violation.days} 営業日${violation.late ? '遅れ' : '早い'})`;
+        }
+    }
+    const parallelRef = getParallelRef(info.data, item);
+    if (parallelRef) {
+        const target = info.data.phases.find(p => p.id === parallelRef.id);
+        bar.title += `\n⇄ ${PHASE_EDGES[parallelRef.side]} = ${target.name} ${PHASE_EDGES[parallelRef.edge]} ${fmtVariance(parseInt(parallelRef.offset) || 0)}`;
+    }
 
-        displayList.forEach(item => {
-            const row = document.createElement('div');
-            row.className = 'gantt-row';
-            row.style.width = '100%';
+    if (item.id === info.data.anchorPhaseId) {
+        bar.style.background = 'var(--accent-secondary)';
+        bar.style.boxShadow = '0 0 10px var(--accent-secondary)';
+    }
 
-            const startDiff = Math.floor((item.startDate - minDate) / (1000 * 60 * 60 * 24));
-            const durationDays = getDaysDiff(item.startDate, item.endDate);
+    // Progress: darken the completed share of the bar
+    const percent = getPercentComplete(item);
+    if (percent > 0) {
+        bar.style.backgroundImage = `linear-gradient(90deg, rgba(15, 23, 42, 0.35) ${percent}%, transparent ${percent}%)`;
+        bar.title += `\n${PHASE_STATUSES[getPhaseStatus(item)]} ${percent}%`;
+    }
+    const flag = getProgressFlag(item, today, phaseCalendars.get(item.id));
+    if (flag) {
+        bar.classList.add('gantt-bar-late');
+        bar.textContent = `⚠ ${bar.textContent}`;
+        bar.title += `\n⚠ ${PROGRESS_FLAG_LABELS[flag]}`;
+    }
 
-            const barLeft = startDiff * PX_PER_DAY;
-            const barWidth = durationDays * PX_PER_DAY;
+    // Milestones: a diamond centered on their date, the name is drawn beside it (see gantt.css)
+    if (isMilestone(item)) {
+        const isAnchorItem = item.id === info.data.anchorPhaseId;
+        bar.classList.add('gantt-milestone');
+        if (isAnchorItem) bar.classList.add('gantt-milestone-anchor');
+        bar.style.left = `${barLeft + pxPerDay / 2 - 9}px`;
+        bar.style.width = '';
+        bar.style.background = '';
+        bar.style.boxShadow = '';
+        bar.style.backgroundImage = '';
+        bar.dataset.label = bar.textContent;
+        bar.textContent = '';
+    }
 
-            const bar = document.createElement('div');
-            bar.className = 'gantt-bar';
-            bar.style.left = `${barLeft}px`;
-            bar.style.width = `${Math.max(0, barWidth - 4)}px`;
+    // Summary phases: a bracket over their children's span, toggles collapse instead of dragging
+    if (item.isSummary) {
+        bar.classList.add('gantt-summary');
+        bar.style.background = '';
+        bar.style.boxShadow = '';
+        const depth = getPhaseDepth(info.data, item);
+        bar.textContent = `${'\u3000'.repeat(depth)}${item.name}`;
+        const toggle = document.createElement('span');
+        toggle.className = 'gantt-collapse-btn';
+        const collapsed = isPhaseCollapsed(info.data, item);
+        toggle.textContent = collapsed ? '▸' : '▾';
+        toggle.title = collapsed ? '展開' : '折りたたむ';
+        bar.prepend(toggle);
+    }
 
-            bar.textContent = item.name;
-            bar.title = `${group.info.name} > ${item.name}\n${item.startDate.toLocaleDateString()} - ${item.endDate.toLocaleDateString()}\n(${item.days} days)`;
+    // --- INTERACTIVE ATTRIBUTES ---
+    bar.dataset.id = item.id;
+    bar.dataset.timelineId = info.id;
+
+    // RESIZE HANDLE (milestones have no duration to resize, summaries follow their children)
+    if (!isMilestone(item) && !item.isSummary) {
+        const handle = document.createElement('div');
+        handle.className = 'resize-handle';
+        handle.dataset.id = item.id;
+        handle.dataset.timelineId = info.id;
+        bar.appendChild(handle);
+    }
 
-            if (item.id === group.info.data.anchorPhaseId) {
-                bar.style.background = 'var(--accent-secondary)';
-                bar.style.boxShadow = '0 0 10px var(--accent-secondary)';
-            }
+    rowEl.appendChild(bar);
+    return rowEl;
+}
 
-            // --- INTERACTIVE ATTRIBUTES ---
-            bar.dataset.id = item.id;
-            bar.dataset.timelineId = group.info.id;
+// Daily load of one person, cells only for the column window
+function buildWorkloadRow(row, colStart, colEnd) {
+    const { member, days, overDays } = row;
+    const { minDate, pxPerDay } = ganttView.model;
 
-            // RESIZE HANDLE
-            const handle = document.createElement('div');
-            handle.className = 'resize-handle';
-            handle.dataset.id = item.id;
-            handle.dataset.timelineId = group.info.id;
-            bar.appendChild(handle);
+    const rowEl = document.createElement('div');
+    rowEl.className = 'gantt-row gantt-workload-row';
 
-            row.appendChild(bar);
-            canvas.appendChild(row);
-        });
-    });
+    const label = document.createElement('div');
+    label.className = 'gantt-workload-label';
+    label.textContent = `👤 ${member.name}${overDays.length ? ` ⚠ ${overDays.length}` : ''}`;
+    label.title = overDays.length ? `Over-allocated (> ${member.capacity}%):\n${overDays.join('\n')}` : `Capacity ${member.capacity}%`;
+    rowEl.appendChild(label);
 
-    // 5. Global Grid Lines
-    const gridOverlay = document.createElement('div');
-    gridOverlay.className = 'gantt-grid-lines';
-    gridOverlay.style.width = '100%';
-    gridOverlay.style.height = '100%'; // Will fill relative parent (canvas)
-    gridOverlay.style.zIndex = '0'; // Behind header and rows (rows have z context via relative)
+    days.forEach((entry, dateStr) => {
+        const offset = Math.round((parseDateStr(dateStr) - minDate) / (1000 * 60 * 60 * 24));
+        if (offset < colStart || offset >= colEnd) return;
 
-    gridCols.forEach((col) => {
-        const line = document.createElement('div');
-        line.className = 'gantt-grid-line';
-        line.style.width = `${PX_PER_DAY}px`;
-        if (col.isWeekend) line.classList.add('gantt-weekend');
-        if (col.isHoliday) line.classList.add('gantt-holiday');
-        gridOverlay.appendChild(line);
+        const cell = document.createElement('div');
+        cell.className = 'gantt-load-cell';
+        if (entry.load > member.capacity) cell.classList.add('gantt-load-over');
+        cell.style.left = `${offset * pxPerDay}px`;
+        cell.style.width = `${pxPerDay}px`;
+        // Bar height shows the load relative to capacity (capped at full height)
+        cell.style.setProperty('--load', Math.min(1, entry.load / member.capacity));
+        if (pxPerDay >= 18) cell.textContent = entry.load; // No room for the number when zoomed out
+        cell.title = `${member.name} ${dateStr}: ${entry.load}% / ${member.capacity}%\n`
+            + entry.phases.map(p => `${p.timelineName} > ${p.phaseName} (${p.allocation}%)`).join('\n');
+        rowEl.appendChild(cell);
     });
+    return rowEl;
+}
 
-    // Prepend grid to canvas so it sits behind
-    canvas.insertBefore(gridOverlay, canvas.firstChild);
+// Arrows are drawn from the model's bar geometry, so they don't need the bars to be in the DOM.
+// Only links whose vertical span crosses the drawn rows are drawn.
+function drawDependencyArrows(model, viewTop, viewBottom) {
+    const svg = ganttView.arrows;
+    svg.setAttribute('width', model.width);
+    svg.setAttribute('height', model.height);
+    const paths = [];
+
+    // Edge of a bar in rows-layer coordinates. side: 'start' (left) | 'end' (right)
+    const edgeOf = (entry, side) => {
+        const x = side === 'start' ? entry.left : entry.left + entry.width;
+        const y = entry.row.top + entry.row.height / 2;
+        return { x, y };
+    };
 
-    // Finally append canvas to scroll container
-    container.appendChild(canvas);
+    model.allSchedules.forEach(group => {
+        group.items.forEach(item => {
+            (item.links || []).forEach(link => {
+                // Links into other timelines connect bars of different groups
+                const from = model.bars.get(`${link.timelineId || group.info.id}:${link.id}`);
+                const to = model.bars.get(`${group.info.id}:${item.id}`);
+                if (!from || !to) return;
+                if (Math.max(from.row.top, to.row.top) + GANTT_ROW_HEIGHT < viewTop || Math.min(from.row.top, to.row.top) > viewBottom) return;
+
+                const fromSide = link.type === 'SS' ? 'start' : 'end';
+                const toSide = link.type === 'FF' ? 'end' : 'start';
+                const p1 = edgeOf(from, fromSide);
+                const p2 = edgeOf(to, toSide);
+
+                // Leave the bar outwards, enter the target bar from outside
+                const outX = p1.x + (fromSide === 'end' ? 8 : -8);
+                const inX = p2.x + (toSide === 'start' ? -8 : 8);
+                let d;
+                if (fromSide === 'end' && toSide === 'start' && p2.x >= p1.x) {
+                    const bendX = Math.max(p1.x + (p2.x - p1.x) / 2, inX);
+                    d = `M ${p1.x} ${p1.y} H ${bendX} V ${p2.y} H ${p2.x}`;
+                } else {
+                    const midY = p1.y + (p2.y - p1.y) / 2;
+                    d = `M ${p1.x} ${p1.y} H ${outX} V ${midY} H ${inX} V ${p2.y} H ${p2.x}`;
+                }
 
-    // ATTACH LISTENERS
-    attachGanttListeners(container, PX_PER_DAY);
+                paths.push(`<path d="${d}" marker-end="url(#gantt-arrowhead)"${link.timelineId ? ' class="gantt-dep-external"' : ''}></path>`);
+            });
+        });
+    });
+
+    svg.innerHTML = `
+        <defs>
+            <marker id="gantt-arrowhead" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                <path class="gantt-arrowhead" d="M0,0 L6,3 L0,6 Z"></path>
+            </marker>
+        </defs>${paths.join('')}`;
 }
 
 function getDaysDiff(d1, d2) {
@@ -886,31 +4046,329 @@ function attachTimelineListeners() {
         };
     }
 
+    if (workingWeekInput) {
+        workingWeekInput.onchange = (e) => {
+            const data = getActiveData();
+            const checked = [...workingWeekInput.querySelectorAll('input:checked')].map(el => parseInt(el.value));
+            if (!checked.length) {
+                alert("At least one working day is required.");
+                e.target.checked = true;
+                return;
+            }
+            data.workingWeek = checked.sort((a, b) => a - b);
+            saveState();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+
+    if (hoursPerDayInput) {
+        hoursPerDayInput.onchange = (e) => {
+            const data = getActiveData();
+            const val = parseFloat(e.target.value);
+            if (!(val >= 1 && val <= 24)) {
+                alert("Hours per day must be between 1 and 24.");
+                e.target.value = data.hoursPerDay;
+                return;
+            }
+            data.hoursPerDay = val;
+            saveState();
+            updateSchedule();
+        };
+    }
+
+    if (timelineCalendarsInput) {
+        timelineCalendarsInput.onchange = () => {
+            const data = getActiveData();
+            data.calendarIds = [...timelineCalendarsInput.querySelectorAll('input:checked')].map(el => el.value);
+            saveState();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+
+    if (baselineSelect) {
+        baselineSelect.onchange = (e) => {
+            getActiveData().activeBaselineId = e.target.value || null;
+            saveState();
+            renderBaselineSelect();
+            updateSchedule();
+        };
+    }
+
+    if (saveBaselineBtn) {
+        saveBaselineBtn.onclick = () => {
+            const data = getActiveData();
+            const name = prompt("Baseline name:", `Baseline ${data.baselines.length + 1}`);
+            if (!name) return;
+
+            const baseline = captureBaseline(data, name);
+            if (!baseline) {
+                alert("Cannot save a baseline while the schedule has errors.");
+                return;
+            }
+            data.baselines.push(baseline);
+            data.activeBaselineId = baseline.id;
+            saveState();
+            renderBaselineSelect();
+            updateSchedule();
+        };
+    }
+
+    [fitStartInput, fitEndInput].forEach(input => {
+        if (!input) return;
+        input.onchange = () => {
+            getActiveData().fitRange = { start: fitStartInput.value, end: fitEndInput.value };
+            saveState();
+        };
+    });
+
+    if (fitPreviewBtn) {
+        fitPreviewBtn.onclick = () => {
+            const data = getActiveData();
+            const fit = fitDurationsToPeriod(data, fitStartInput.value, fitEndInput.value);
+            if (fit.error) {
+                alert(fit.error);
+                return;
+            }
+            if (!fit.changes.length && (data.anchorRef || fit.anchorDate === data.anchorDate)) {
+                alert(`変更はありません (${fit.span} / ${fit.days} 営業日)。`);
+                return;
+            }
+
+            // Preview: old -> new days per phase, applied only when confirmed
+            const diff = fit.changes.map(c => `${c.name}: ${c.from} → ${c.to} ${DURATION_UNITS[c.unit]}`).join('\n');
+            const message = `${fitStartInput.value} 〜 ${fitEndInput.value} (${fit.days} 営業日) に合わせます。`
+                + `\n配分後: ${fit.span} 営業日\n\n${diff || '日数の変更なし'}`
+                + (data.anchorRef ? '\n\n※ 基準日は他のタイムラインに連動しているため変更しません。' : `\n\n基準日: ${data.anchorDate} → ${fit.anchorDate}`)
+                + '\n\n適用しますか?';
+            if (!confirm(message)) return;
+
+            fit.changes.forEach(c => {
+                data.phases.find(p => p.id === c.id).days = c.to;
+            });
+            if (!data.anchorRef) data.anchorDate = fit.anchorDate;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+
+    if (deleteBaselineBtn) {
+        deleteBaselineBtn.onclick = () => {
+            const data = getActiveData();
+            const baseline = getActiveBaseline(data);
+            if (!baseline) return;
+            if (!confirm(`Are you sure you want to delete baseline "${baseline.name}"?`)) return;
+
+            data.baselines = data.baselines.filter(b => b.id !== baseline.id);
+            data.activeBaselineId = null;
+            saveState();
+            renderBaselineSelect();
+            updateSchedule();
+        };
+    }
+
     if (deleteTimelineBtn) {
         deleteTimelineBtn.onclick = () => {
             if (appState.timelines.length <= 1) {
                 alert("Cannot delete the last timeline.");
                 return;
             }
-            if (!confirm(`Are you sure you want to delete "${getActiveTimeline().name}"?`)) return;
-
-            appState.timelines = appState.timelines.filter(t => t.id !== appState.activeTimelineId);
-            appState.activeTimelineId = appState.timelines[0].id;
+            if (!confirm(`Are you sure you want to delete "${getActiveTimeline().name}"?`)) return;
+
+            appState.timelines = appState.timelines.filter(t => t.id !== appState.activeTimelineId);
+            removeExternalReferences(appState.activeTimelineId);
+            appState.activeTimelineId = appState.timelines[0].id;
+            saveState();
+            initUI();
+        };
+    }
+}
+
+function attachTeamListeners() {
+    const addMemberBtn = document.getElementById('add-member-btn');
+    if (addMemberBtn) {
+        addMemberBtn.onclick = () => {
+            const name = prompt("Enter member name:");
+            if (!name) return;
+            appState.team.push({ id: Date.now().toString(), name: name, capacity: 100 });
+            saveState();
+            renderTeamRoster();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+
+    const rosterEl = document.getElementById('team-roster');
+    if (!rosterEl) return;
+
+    rosterEl.oninput = (e) => {
+        if (!e.target.classList.contains('team-name-input')) return;
+        const member = getTeamMember(e.target.dataset.personId);
+        if (!member || !e.target.value.trim()) return;
+        member.name = e.target.value.trim();
+        saveState(`member:${member.id}`);
+        renderPhases();
+        updateSchedule();
+    };
+
+    rosterEl.onchange = (e) => {
+        if (e.target.classList.contains('team-leave-input')) {
+            const member = getTeamMember(e.target.dataset.personId);
+            if (!member) return;
+            const { entries, errors } = parseHolidayText(e.target.value);
+            if (errors.length) {
+                alert(`${member.name}: 読み込めない行は無視されました\n` + errors.map(err => `L${err.line}: ${err.reason} ${err.text}`).join('\n'));
+            }
+            member.leave = entries;
+            member.leaveText = e.target.value;
+            saveState();
+            e.target.closest('.team-leave').querySelector('summary').textContent = `🏖 休暇 (${entries.length}日)`;
+            renderPhases();
+            updateSchedule();
+            return;
+        }
+        if (!e.target.classList.contains('team-capacity-input')) return;
+        const member = getTeamMember(e.target.dataset.personId);
+        if (!member) return;
+        const val = Math.min(200, Math.max(1, parseInt(e.target.value) || 100));
+        e.target.value = val;
+        member.capacity = val;
+        saveState();
+        updateSchedule();
+    };
+
+    rosterEl.onclick = (e) => {
+        const btn = e.target.closest('.team-delete-btn');
+        if (!btn) return;
+        const member = getTeamMember(btn.dataset.personId);
+        if (!member || !confirm(`Are you sure you want to delete "${member.name}"? Their assignments will be removed.`)) return;
+
+        appState.team = appState.team.filter(m => m.id !== member.id);
+        appState.timelines.forEach(t => {
+            t.data.phases.forEach(p => {
+                if (p.ownerId === member.id) delete p.ownerId;
+                if (!p.assignees) return;
+                p.assignees = p.assignees.filter(a => a.personId !== member.id);
+                if (!p.assignees.length) delete p.assignees;
+            });
+        });
+        saveState();
+        renderTeamRoster();
+        renderPhases();
+        updateSchedule();
+    };
+}
+
+function attachHolidayCalendarListeners() {
+    if (holidayCalendarSelect) {
+        holidayCalendarSelect.onchange = (e) => {
+            appState.activeCalendarId = e.target.value;
+            saveState();
+            // The JP year range shows the newly selected calendar
+            document.getElementById('jp-holiday-from').value = '';
+            document.getElementById('jp-holiday-to').value = '';
+            renderHolidaySettings();
+        };
+    }
+
+    const addBtn = document.getElementById('add-calendar-btn');
+    if (addBtn) {
+        addBtn.onclick = () => {
+            const name = prompt("Enter new holiday calendar name:", `Calendar ${appState.holidayCalendars.length + 1}`);
+            if (!name) return;
+            const newId = Date.now().toString();
+            appState.holidayCalendars.push({ id: newId, name: name, holidays: [], text: '' });
+            appState.activeCalendarId = newId;
+            saveState();
+            renderHolidaySettings();
+            renderPhases(); // Timeline calendar checkboxes
+        };
+    }
+
+    const renameBtn = document.getElementById('rename-calendar-btn');
+    if (renameBtn) {
+        renameBtn.onclick = () => {
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            const newName = prompt("Rename holiday calendar:", cal.name);
+            if (!newName) return;
+            cal.name = newName;
+            saveState();
+            renderHolidaySettings();
+            renderPhases();
+        };
+    }
+
+    const deleteBtn = document.getElementById('delete-calendar-btn');
+    if (deleteBtn) {
+        deleteBtn.onclick = () => {
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            if (appState.holidayCalendars.length <= 1) {
+                alert("Cannot delete the last holiday calendar.");
+                return;
+            }
+            if (!confirm(`Are you sure you want to delete "${cal.name}"?`)) return;
+
+            appState.holidayCalendars = appState.holidayCalendars.filter(c => c.id !== cal.id);
+            appState.timelines.forEach(t => {
+                t.data.calendarIds = t.data.calendarIds.filter(id => id !== cal.id);
+            });
+            appState.activeCalendarId = appState.holidayCalendars[0].id;
+            saveState();
+            renderHolidaySettings();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+}
+
+function attachTopListeners() {
+    if (anchorPhaseSelect) {
+        // onchange: initUI runs again on timeline switches and imports, one handler is kept
+        anchorPhaseSelect.onchange = (e) => {
+            const data = getActiveData();
+            data.anchorPhaseId = e.target.value;
+            saveState();
+            renderPhases();
+            updateSchedule();
+        };
+    }
+
+    const anchorRefSelect = document.getElementById('anchor-ref-select');
+    if (anchorRefSelect) {
+        anchorRefSelect.onchange = (e) => {
+            const data = getActiveData();
+            const previous = data.anchorRef;
+            const type = document.getElementById('anchor-ref-type')?.value || 'FS';
+            if (e.target.value) data.anchorRef = { ...JSON.parse(e.target.value), type };
+            else delete data.anchorRef;
+
+            if (findTimelineCycle(appState.activeTimelineId).length) {
+                if (previous) data.anchorRef = previous;
+                else delete data.anchorRef;
+                alert("This reference would create a cycle between timelines.");
+                renderAnchorRefSelect();
+                return;
+            }
             saveState();
-            initUI();
+            renderPhases();
+            updateSchedule();
         };
     }
-}
 
-function attachTopListeners() {
-    if (anchorPhaseSelect) {
-        anchorPhaseSelect.addEventListener('change', (e) => {
+    const anchorRefType = document.getElementById('anchor-ref-type');
+    if (anchorRefType) {
+        anchorRefType.onchange = (e) => {
             const data = getActiveData();
-            data.anchorPhaseId = e.target.value;
+            if (!data.anchorRef) return;
+            data.anchorRef.type = e.target.value;
             saveState();
             renderPhases();
             updateSchedule();
-        });
+        };
     }
 
     if (anchorTypeRadios) {
@@ -953,13 +4411,101 @@ function attachTopListeners() {
     if (holidaysInput) {
         replaceWithClone(holidaysInput).addEventListener('change', (e) => {
             const text = e.target.value;
-            appState.globalHolidays = text.split('\n').map(l => l.trim()).filter(l => l.match(/^\d{4}-\d{2}-\d{2}$/));
+            const { entries, errors } = parseHolidayText(text);
+            renderHolidayErrors(errors);
+
+            // Generated national holidays are kept; only company days come from the textarea.
+            // The raw text is kept too, so comments and invalid lines survive for fixing.
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            const custom = entries.map(h => ({ ...h, source: 'custom' }));
+            cal.holidays = [...cal.holidays.filter(h => h.source !== 'custom'), ...custom];
+            cal.text = text;
             saveState();
+            renderHolidayCalendarSelect(); // Holiday counts
             updateSchedule(); // Re-calc all (active)
         });
         holidaysInput = document.getElementById('holidays-input');
     }
 
+    const jpGenerateBtn = document.getElementById('jp-holiday-generate-btn');
+    if (jpGenerateBtn) {
+        replaceWithClone(jpGenerateBtn).addEventListener('click', () => {
+            const from = parseInt(document.getElementById('jp-holiday-from').value);
+            const to = parseInt(document.getElementById('jp-holiday-to').value);
+            if (isNaN(from) || isNaN(to) || from > to) {
+                alert("Invalid year range.");
+                return;
+            }
+            if (from < JP_HOLIDAY_MIN_YEAR || to > JP_HOLIDAY_MAX_YEAR) {
+                alert(`Supported years: ${JP_HOLIDAY_MIN_YEAR}-${JP_HOLIDAY_MAX_YEAR}`);
+                return;
+            }
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            mergeJapaneseHolidays(cal, from, to);
+            saveState();
+            renderHolidaySettings();
+            renderPhases();
+            updateSchedule();
+        });
+    }
+
+    const jpClearBtn = document.getElementById('jp-holiday-clear-btn');
+    if (jpClearBtn) {
+        replaceWithClone(jpClearBtn).addEventListener('click', () => {
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            cal.holidays = cal.holidays.filter(h => h.source !== 'jp');
+            saveState();
+            renderHolidaySettings();
+            renderPhases();
+            updateSchedule();
+        });
+    }
+
+    if (document.getElementById('ics-import-btn')) replaceWithClone(document.getElementById('ics-import-btn')).addEventListener('click', () => {
+        document.getElementById('ics-file-input').click();
+    });
+    if (document.getElementById('ics-file-input')) replaceWithClone(document.getElementById('ics-file-input')).addEventListener('change', (e) => {
+        if (e.target.files[0]) importIcsHolidays(e.target.files[0]);
+        e.target.value = ''; // Allow re-importing the same file
+    });
+
+    const icsClearBtn = document.getElementById('ics-clear-btn');
+    if (icsClearBtn) {
+        replaceWithClone(icsClearBtn).addEventListener('click', () => {
+            const cal = getActiveHolidayCalendar();
+            if (!cal) return;
+            cal.holidays = cal.holidays.filter(h => h.source !== 'ics');
+            saveState();
+            renderHolidaySettings();
+            renderPhases();
+            updateSchedule();
+        });
+    }
+
+    if (document.getElementById('csv-export-btn')) replaceWithClone(document.getElementById('csv-export-btn')).addEventListener('click', exportPhaseCsv);
+    if (document.getElementById('csv-import-btn')) replaceWithClone(document.getElementById('csv-import-btn')).addEventListener('click', () => {
+        document.getElementById('csv-file-input').click();
+    });
+    if (document.getElementById('csv-file-input')) replaceWithClone(document.getElementById('csv-file-input')).addEventListener('change', (e) => {
+        if (e.target.files[0]) importPhaseFile(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    // Rows copied from a spreadsheet and pasted anywhere in the phase list become phases
+    if (phaseListEl) {
+        phaseListEl.onpaste = (e) => {
+            const text = (e.clipboardData || window.clipboardData).getData('text');
+            if (!text || !/\t|\n./.test(text.trim())) return; // Plain single value: normal paste
+            e.preventDefault();
+            const count = parsePhaseTable(text).phases.length;
+            if (!count || !confirm(`Add ${count} phase(s) from the pasted rows?`)) return;
+            importPhaseTable(text, false);
+        };
+    }
+
     const sortBtn = document.getElementById('sort-toggle-btn');
     if (sortBtn) {
         replaceWithClone(sortBtn).addEventListener('click', () => {
@@ -976,8 +4522,7 @@ function attachTopListeners() {
             const schedule = calculateSchedule();
             if (!schedule) return;
             const data = getActiveData();
-            let list = [...schedule];
-            if (data.sortOrder === 'asc') list.reverse();
+            const list = getOutlineOrder(schedule, data.sortOrder === 'asc');
 
             const SEPARATOR = " / ";
             let text = ""; // No header needed for this format usually, or matches the pattern
@@ -988,7 +4533,10 @@ function attachTopListeners() {
                 return `${y}-${m}-${d_str}`;
             };
             list.forEach(item => {
-                text += `${fmt(item.startDate)} ~ ${fmt(item.endDate)}${SEPARATOR}${item.name}${SEPARATOR}${item.days}日\n`;
+                const name = '  '.repeat(getPhaseDepth(data, item)) + item.name; // Sub-phases indented
+                text += isMilestone(item)
+                    ? `${fmt(item.startDate)}${SEPARATOR}◆ ${name}${SEPARATOR}マイルストーン\n`
+                    : `${fmt(item.startDate)} ~ ${fmt(item.endDate)}${SEPARATOR}${name}${SEPARATOR}${getDurationUnit(item) === 'bd' ? `${item.days}日` : formatDuration(item)}\n`;
             });
             navigator.clipboard.writeText(text).then(() => {
                 const btn = document.getElementById('copy-text-btn');
@@ -1011,6 +4559,9 @@ function attachTopListeners() {
         });
     }
 
+    if (document.getElementById('undo-btn')) replaceWithClone(document.getElementById('undo-btn')).addEventListener('click', undo);
+    if (document.getElementById('redo-btn')) replaceWithClone(document.getElementById('redo-btn')).addEventListener('click', redo);
+
     if (document.getElementById('save-btn')) replaceWithClone(document.getElementById('save-btn')).addEventListener('click', exportJson);
     if (document.getElementById('load-btn')) replaceWithClone(document.getElementById('load-btn')).addEventListener('click', () => {
         document.getElementById('file-input').click();
@@ -1019,6 +4570,15 @@ function attachTopListeners() {
         if (e.target.files[0]) importJson(e.target.files[0]);
     });
 
+    document.querySelectorAll('.gantt-zoom-btn').forEach(btn => {
+        btn.onclick = () => zoomGantt(GANTT_ZOOM_LEVELS.find(l => l.id === btn.dataset.zoom).pxPerDay);
+    });
+
+    const icsBtn = document.getElementById('export-ics-btn');
+    if (icsBtn) replaceWithClone(icsBtn).addEventListener('click', () => exportIcs(false));
+    const icsAllBtn = document.getElementById('export-ics-all-btn');
+    if (icsAllBtn) replaceWithClone(icsAllBtn).addEventListener('click', () => exportIcs(true));
+
     const exportBtn = document.getElementById('export-image-btn');
     if (exportBtn) {
         replaceWithClone(exportBtn).addEventListener('click', (e) => {
@@ -1036,7 +4596,8 @@ function attachTopListeners() {
                 return;
             }
 
-            // Target the inner full-width wrapper
+            // Target the inner full-width wrapper, with every row drawn (not just the visible window)
+            renderGanttWindow(true);
             html2canvas(container.firstChild, {
                 backgroundColor: '#1e293b',
                 scale: 2
@@ -1052,7 +4613,7 @@ function attachTopListeners() {
                 console.error(err);
                 alert('Export failed.');
                 btn.innerText = originalText;
-            });
+            }).finally(() => renderGanttWindow());
         });
     }
 }
@@ -1064,8 +4625,8 @@ function replaceWithClone(node) {
     return clone;
 }
 
-function initUI() {
-    loadState();
+// Puts appState into the controls and re-renders every view; listeners are left alone
+function renderAll() {
     bindDOMElements(); // Refresh refs
 
     const data = getActiveData();
@@ -1074,7 +4635,7 @@ function initUI() {
     // So we just set values here.
 
     if (anchorDateInput) anchorDateInput.value = data.anchorDate || '';
-    if (holidaysInput) holidaysInput.value = (appState.globalHolidays || []).join('\n'); // Global!
+    if (holidaysInput) holidaysInput.value = getCustomHolidayText(); // Global!
 
     if (anchorTypeRadios) {
         anchorTypeRadios.forEach(radio => {
@@ -1083,8 +4644,17 @@ function initUI() {
     }
 
     renderTimelineSelect();
+    renderHolidaySettings();
+    renderTeamRoster();
     renderPhases();
     updateSchedule();
+    updateHistoryButtons();
+}
+
+function initUI() {
+    loadState();
+    renderAll();
+    const data = getActiveData();
 
     // Important: replaceWithClone in attachTopListeners will wipe values if we are not careful?
     // No, cloneNode(true) copies attributes and values (usually). 
@@ -1094,6 +4664,8 @@ function initUI() {
 
     // Let's attach listeners (which does replacement), then set values again to be safe.
     attachTimelineListeners(); // These are persistent UI
+    attachHolidayCalendarListeners();
+    attachTeamListeners();
     attachTopListeners();
 
     // Re-set values after replacement
@@ -1101,7 +4673,7 @@ function initUI() {
     if (newAnchorDate) newAnchorDate.value = data.anchorDate || '';
 
     const newHolidays = document.getElementById('holidays-input');
-    if (newHolidays) newHolidays.value = (appState.globalHolidays || []).join('\n');
+    if (newHolidays) newHolidays.value = getCustomHolidayText();
 }
 
 // Start
@@ -1110,17 +4682,23 @@ document.addEventListener('DOMContentLoaded', () => {
     initUI();
 });
 
+document.addEventListener('keydown', handleHistoryShortcut);
+
 // JSON IO
-function exportJson() {
-    const data = JSON.stringify(appState, null, 2);
-    const blob = new Blob([data], { type: 'application/json' });
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `schedule-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     a.click();
 }
 
+function exportJson() {
+    const data = JSON.stringify(appState, null, 2);
+    downloadFile(data, `schedule-backup-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
 function importJson(file) {
     const reader = new FileReader();
     reader.onload = (e) => {
@@ -1129,8 +4707,7 @@ function importJson(file) {
             // Heuristic check
             if (data.timelines) { // V2 or V3
                 appState = data;
-                // v2 -> v3 migration check
-                if (!appState.globalHolidays) appState.globalHolidays = [];
+                // Older versions are migrated by loadState (via initUI)
                 saveState();
                 initUI();
             } else if (data.phases) { // V1
@@ -1162,6 +4739,7 @@ let ganttDragState = {
     startX: 0,
     initialLeft: 0,
     initialWidth: 0,
+    initialStyleWidth: '',
     phaseId: null,
     timelineId: null,
     initialDate: null, // For move
@@ -1169,14 +4747,40 @@ let ganttDragState = {
     targetBar: null
 };
 
-function attachGanttListeners(container, pxPerDay) {
+// Attached once per container, so the scale is read at event time (it changes with zoom)
+function attachGanttListeners(container) {
     if (container.dataset.listening) return;
     container.dataset.listening = 'true';
 
+    // Scrolling brings other rows and columns into the window (at most once per frame)
+    let windowFrame = null;
+    const scheduleWindow = () => {
+        if (windowFrame !== null) return;
+        windowFrame = requestAnimationFrame(() => {
+            windowFrame = null;
+            renderGanttWindow();
+        });
+    };
+    container.addEventListener('scroll', scheduleWindow);
+    window.addEventListener('resize', scheduleWindow);
+
+    // Ctrl+wheel zooms, keeping the date under the cursor in place
+    container.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        const x = e.clientX - container.getBoundingClientRect().left;
+        zoomGantt(getGanttPxPerDay() * (e.deltaY < 0 ? 1.25 : 0.8), x);
+    }, { passive: false });
+
     container.addEventListener('mousedown', (e) => {
         const handle = e.target.closest('.resize-handle');
         const bar = e.target.closest('.gantt-bar');
 
+        if (bar && bar.classList.contains('gantt-summary')) {
+            if (e.target.closest('.gantt-collapse-btn')) toggleGanttCollapse(bar.dataset.timelineId, bar.dataset.id);
+            return;
+        }
+
         if (handle) {
             e.preventDefault();
             e.stopPropagation();
@@ -1195,7 +4799,7 @@ function attachGanttListeners(container, pxPerDay) {
         if (ganttDragState.type === 'move') {
             ganttDragState.targetBar.style.transform = `translateX(${deltaX}px)`;
         } else if (ganttDragState.type === 'resize') {
-            const newW = Math.max(pxPerDay, ganttDragState.initialWidth + deltaX);
+            const newW = Math.max(getGanttPxPerDay(), ganttDragState.initialWidth + deltaX);
             ganttDragState.targetBar.style.width = `${newW}px`;
         }
     };
@@ -1204,13 +4808,14 @@ function attachGanttListeners(container, pxPerDay) {
         if (!ganttDragState.active) return;
 
         const deltaX = e.clientX - ganttDragState.startX;
-        const deltaDays = Math.round(deltaX / pxPerDay);
+        const deltaDays = Math.round(deltaX / getGanttPxPerDay());
 
         applyGanttChange(deltaDays);
 
         ganttDragState.active = false;
         if (ganttDragState.targetBar) {
             ganttDragState.targetBar.style.transform = ''; // Clear visual override
+            ganttDragState.targetBar.style.width = ganttDragState.initialStyleWidth; // Unchanged rows keep their element
             ganttDragState.targetBar.classList.remove('dragging');
             ganttDragState.targetBar.classList.remove('active-drag');
             ganttDragState.targetBar = null;
@@ -1223,6 +4828,15 @@ function attachGanttListeners(container, pxPerDay) {
     document.addEventListener('mouseup', onMouseUp);
 }
 
+function toggleGanttCollapse(timelineId, phaseId) {
+    const timeline = appState.timelines.find(t => t.id === timelineId);
+    const phase = timeline && timeline.data.phases.find(p => p.id === phaseId);
+    if (!phase) return;
+    setPhaseCollapsed(timeline.data, phase, !isPhaseCollapsed(timeline.data, phase));
+    renderPhases();
+    renderGantt();
+}
+
 function startDrag(e, type, bar, phaseId, timelineId) {
     ganttDragState.active = true;
     ganttDragState.type = type;
@@ -1233,6 +4847,7 @@ function startDrag(e, type, bar, phaseId, timelineId) {
 
     const rect = bar.getBoundingClientRect();
     ganttDragState.initialWidth = rect.width;
+    ganttDragState.initialStyleWidth = bar.style.width;
 
     // Find Data
     const timeline = appState.timelines.find(t => t.id === timelineId);
@@ -1259,39 +4874,24 @@ function applyGanttChange(deltaDays) {
     if (!phase) return;
 
     if (type === 'resize') {
-        const newDays = initialDays + deltaDays;
-        phase.days = Math.max(1, newDays);
-
-        if (phase.isParallel) {
-            const iso = (d) => {
-                const y = d.getFullYear();
-                const m = String(d.getMonth() + 1).padStart(2, '0');
-                const day = String(d.getDate()).padStart(2, '0');
-                return `${y}-${m}-${day}`;
-            };
-
-            const startStr = phase.manualStartDate || timeline.data.anchorDate; // Fallback
-            // Fix: calculate new end date.
-            // Simplified approach: Start + Days (Business days logic is tricky without proper calendar context here)
-            // But we have getDaysDiff... let's assume calendar days for resize for parallel now for simplicity
-            // OR re-use addBusinessDays if available?
-            // Since parallel logic is manual, let's just update end date strictly.
-            // Wait, if it's parallel, "days" is derived from dates.
-            // If I change days, I should change End Date.
-
-            const start = new Date(startStr);
-            const end = new Date(startStr);
-            // We want end date such that getDaysDiff(start, end) ~= newDays.
-            // Approximate since we don't have easy business day add function handy here (it's inside calculateSchedule usually?)
-            // Actually, let's just add NEWDAYS * 1.4 (weekend buffer) and refine? No.
-
-            // Let's just update the manualEndDate to start + newDays (calendar days) for now?
-            // No, that breaks business day logic.
-            // Let's accept that for Parallel tasks, dragging resize handle changes "Days" property
-            // and we calculate new EndDate as Start + Days (calendar) for now.
-
-            end.setDate(end.getDate() + newDays);
-            phase.manualEndDate = iso(end);
+        // One dragged day is 2 half days or a working day's worth of hours
+        const unitsPerDay = getUnitsPerDay(phase, getTimelineCalendar(data).hoursPerDay);
+        phase.days = Math.max(1, initialDays + deltaDays * unitsPerDay);
+
+        if (phase.isParallel && !getParallelRef(data, phase)) {
+            // Fixed dates: the end moves with the new length (days of a bd / cd range are calendar
+            // days, sub-day units count working days), then days follow the range like processParallel
+            const calendar = getPhaseCalendar(getTimelineCalendar(data), phase);
+            const start = parseDateStr(phase.manualStartDate || data.anchorDate);
+            const unit = getDurationUnit(phase);
+            let end;
+            if (unit === 'cd') end = shiftDate(start, phase.days - 1);
+            else if (unit === 'bd') end = ensureWorkingDayBackward(shiftDate(start, phase.days - 1), calendar);
+            else end = getSpanEnd(phase, ensureWorkingDayForward(start, calendar), 0, calendar).endDate;
+            if (end < start) end = start;
+            phase.manualStartDate = normalizeDateStr(start);
+            phase.manualEndDate = normalizeDateStr(end);
+            phase.days = getFixedRangeDays(phase, start, end, calendar);
         }
 
     } else if (type === 'move') {
@@ -1308,6 +4908,14 @@ function applyGanttChange(deltaDays) {
             currentAnchor.setDate(currentAnchor.getDate() + deltaDays);
             data.anchorDate = iso(currentAnchor);
 
+        } else if (getParallelRef(data, phase)) {
+            // Relative parallel phase: the move changes its offset to the referenced phase
+            const item = calculateSchedule(data).find(i => i.id === phaseId);
+            const calendar = getPhaseCalendar(getTimelineCalendar(data), phase);
+            const moved = new Date(item.startDate);
+            moved.setDate(moved.getDate() + deltaDays);
+            phase.parallelRef.offset = (parseInt(phase.parallelRef.offset) || 0) + countBusinessDays(item.startDate, moved, calendar);
+
         } else {
             // Normal Phase (Collision-Aware Move)
 
@@ -1379,3 +4987,719 @@ function applyGanttChange(deltaDays) {
     renderPhases();
     updateSchedule();
 }
+
+// --- iCalendar IO (RFC 5545) ---
+
+const ICS_PRODID = '-//mini_project_schedule//Schedule Back-Calc//JA';
+const ICS_UID_DOMAIN = 'mini-project-schedule';
+
+function icsEscapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function icsFoldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const ch of line) {
+        const chBytes = encoder.encode(ch).length;
+        const limit = parts.length ? 74 : 75; // continuation lines lose one octet to the leading space
+        if (currentBytes + chBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += ch;
+        currentBytes += chBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+    return normalizeDateStr(date).replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Builds a VCALENDAR with one all-day VEVENT per phase.
+// UIDs only depend on timeline and phase ids, so importing again updates the events.
+function buildICalendar(timelines, calendarName) {
+    const stamp = icsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsEscapeText(calendarName)}`
+    ];
+
+    timelines.forEach(t => {
+        const schedule = calculateSchedule(t.data);
+        if (!schedule) return;
+
+        schedule.forEach(item => {
+            const isAnchor = item.id === t.data.anchorPhaseId;
+            // DTEND is exclusive for all-day events
+            const endExclusive = new Date(item.endDate.getTime());
+            endExclusive.setDate(endExclusive.getDate() + 1);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${t.id}-${item.id}@${ICS_UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${icsDate(item.startDate)}`,
+                `DTEND;VALUE=DATE:${icsDate(endExclusive)}`,
+                `SUMMARY:${icsEscapeText(`${isAnchor ? '📌 ' : ''}${t.name} / ${item.name}`)}`,
+                `DESCRIPTION:${icsEscapeText(`${item.isSummary ? `${item.days} 営業日` : formatDuration(item)}${isAnchor ? ` (Anchor: ${t.data.anchorType === 'start' ? 'Start' : 'End'})` : ''}`)}`,
+                `CATEGORIES:${(isAnchor ? [t.name, 'Anchor'] : [t.name]).map(icsEscapeText).join(',')}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFoldLine).join('\r\n') + '\r\n';
+}
+
+function exportIcs(allTimelines) {
+    const timelines = allTimelines ? appState.timelines : [getActiveTimeline()];
+    const name = allTimelines ? 'Project Schedule' : getActiveTimeline().name;
+    const content = buildICalendar(timelines, name);
+    const suffix = allTimelines ? 'all' : getActiveTimeline().name.replace(/[\\/:*?"<>|\s]+/g, '_');
+    downloadFile(content, `schedule-${suffix}-${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar');
+}
+
+function icsUnescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (m, ch) => (ch === 'n' || ch === 'N') ? '\n' : ch);
+}
+
+function parseIcsDate(value) {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+// Splits unfolded content lines of a VCALENDAR into VEVENT property maps.
+// Property: { params: { VALUE: 'DATE', ... }, value }
+function parseIcsEvents(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current) events.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const m = line.match(/^([^:;]+)((?:;[^:]*)?):(.*)$/);
+        if (!m) return;
+        const params = {};
+        m[2].split(';').filter(Boolean).forEach(p => {
+            const [k, v] = p.split('=');
+            params[k.toUpperCase()] = v;
+        });
+        const name = m[1].toUpperCase();
+        // EXDATE may repeat; keep every occurrence
+        if (name === 'EXDATE') {
+            current.EXDATE = [...(current.EXDATE || []), ...m[3].split(',')];
+        } else {
+            current[name] = { params, value: m[3] };
+        }
+    });
+
+    return events;
+}
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Days of month for e.g. BYDAY=2MO (second Monday), -1FR (last Friday) or TH (every Thursday)
+function icsWeekdaysInMonth(year, monthIdx, spec) {
+    const m = spec.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!m) return [];
+    const weekday = ICS_WEEKDAYS.indexOf(m[2]);
+    const days = [];
+    for (let d = new Date(year, monthIdx, 1); d.getMonth() === monthIdx; d.setDate(d.getDate() + 1)) {
+        if (d.getDay() === weekday) days.push(d.getDate());
+    }
+    if (!m[1]) return days;
+    const n = parseInt(m[1]);
+    const day = n > 0 ? days[n - 1] : days[days.length + n];
+    return day === undefined ? [] : [day];
+}
+
+// Start dates of a (possibly recurring) event up to the end of `untilYear`.
+// Only FREQ=YEARLY is expanded (INTERVAL, COUNT, UNTIL, BYMONTH, BYMONTHDAY, BYDAY);
+// BYMONTH / BYMONTHDAY / BYDAY may be comma lists, every combination is an occurrence.
+// DTSTART itself is always the first occurrence and counts toward COUNT (RFC 5545).
+function expandIcsOccurrences(start, rruleValue, untilYear) {
+    if (!rruleValue) return { dates: [start], unsupported: false };
+
+    const rule = {};
+    rruleValue.split(';').forEach(p => {
+        const [k, v] = p.split('=');
+        rule[k.toUpperCase()] = v;
+    });
+    if (rule.FREQ !== 'YEARLY') return { dates: [start], unsupported: true };
+
+    const list = (value) => value.split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+    const interval = parseInt(rule.INTERVAL) || 1;
+    const count = rule.COUNT ? parseInt(rule.COUNT) : Infinity;
+    const until = rule.UNTIL ? parseIcsDate(rule.UNTIL.slice(0, 8)) : null;
+    const months = rule.BYMONTH ? list(rule.BYMONTH).map(v => parseInt(v) - 1) : [start.getMonth()];
+    const byDay = rule.BYDAY ? list(rule.BYDAY) : null;
+    const byMonthDay = rule.BYMONTHDAY ? list(rule.BYMONTHDAY).map(v => parseInt(v)) : [start.getDate()];
+    if (months.some(m => !(m >= 0 && m < 12))
+        || (byDay && byDay.some(spec => !/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.test(spec)))
+        || byMonthDay.some(day => !day)) {
+        return { dates: [start], unsupported: true };
+    }
+
+    const dates = [start];
+    for (let year = start.getFullYear(); year <= untilYear && dates.length < count; year += interval) {
+        const inYear = [];
+        months.forEach(monthIdx => {
+            const days = byDay
+                ? byDay.flatMap(spec => icsWeekdaysInMonth(year, monthIdx, spec))
+                // Negative BYMONTHDAY counts from the end of the month (-1 = last day)
+                : byMonthDay.map(day => day > 0 ? day : new Date(year, monthIdx + 1, day + 1).getDate());
+            days.forEach(day => {
+                const d = new Date(year, monthIdx, day);
+                if (d.getMonth() === monthIdx) inYear.push(d); // Skips e.g. Feb 29 in a common year
+            });
+        });
+
+        inYear.sort((a, b) => a - b);
+        for (const d of inYear) {
+            if (d <= dates[dates.length - 1]) continue;
+            if ((until && d > until) || dates.length >= count) return { dates, unsupported: false };
+            dates.push(d);
+        }
+    }
+    return { dates, unsupported: false };
+}
+
+// All-day events -> [{ date, name }]. Timed events are skipped and counted.
+function parseICalendarHolidays(text, untilYear) {
+    const entries = [];
+    let skipped = 0;
+    let unsupported = 0;
+
+    parseIcsEvents(text).forEach(ev => {
+        if (!ev.DTSTART || (ev.STATUS && ev.STATUS.value.toUpperCase() === 'CANCELLED')) return;
+        const start = parseIcsDate(ev.DTSTART.value);
+        if (!start) {
+            skipped++;
+            return;
+        }
+
+        // DTEND is exclusive; without it (or DURATION) the event lasts one day
+        let length = 1;
+        const end = ev.DTEND ? parseIcsDate(ev.DTEND.value) : null;
+        if (end) length = Math.max(1, getDaysDiff(start, end) - 1);
+        else if (ev.DURATION) {
+            const m = ev.DURATION.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?$/);
+            if (m) length = Math.max(1, (parseInt(m[1]) || 0) * 7 + (parseInt(m[2]) || 0));
+        }
+
+        const name = ev.SUMMARY ? icsUnescapeText(ev.SUMMARY.value).trim() : '';
+        const excluded = (ev.EXDATE || []).map(v => v.slice(0, 8));
+        const occurrences = expandIcsOccurrences(start, ev.RRULE && ev.RRULE.value, untilYear);
+        if (occurrences.unsupported) unsupported++;
+
+        occurrences.dates.forEach(first => {
+            if (excluded.includes(icsDate(first))) return;
+            for (let i = 0; i < length; i++) {
+                const d = new Date(first.getFullYear(), first.getMonth(), first.getDate() + i);
+                entries.push({ date: normalizeDateStr(d), name });
+            }
+        });
+    });
+
+    return { entries, skipped, unsupported };
+}
+
+const ICS_IMPORT_YEARS_AHEAD = 5;
+
+function importIcsHolidays(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const cal = getActiveHolidayCalendar();
+        if (!cal) return;
+
+        const text = e.target.result;
+        if (!text.includes('BEGIN:VCALENDAR')) {
+            alert('Invalid iCalendar file');
+            return;
+        }
+
+        const untilYear = new Date().getFullYear() + ICS_IMPORT_YEARS_AHEAD;
+        const { entries, skipped, unsupported } = parseICalendarHolidays(text, untilYear);
+
+        let message = `${entries.length} 日の休日を "${cal.name}" に読み込みます (前回の .ics 読込分は置き換えられます)。`;
+        if (skipped) message += `\n時刻指定のイベント ${skipped} 件は除外されます。`;
+        if (unsupported) message += `\n未対応の繰り返し (YEARLY 以外) ${unsupported} 件は初回のみ取り込みます。`;
+        if (!confirm(message)) return;
+
+        // De-duplicate by date, keep the first summary
+        const seen = new Set();
+        const imported = entries.filter(h => !seen.has(h.date) && seen.add(h.date)).map(h => ({ ...h, source: 'ics' }));
+        cal.holidays = [...cal.holidays.filter(h => h.source !== 'ics'), ...imported];
+        saveState();
+        renderHolidaySettings();
+        renderPhases();
+        updateSchedule();
+    };
+    reader.readAsText(file);
+}
+
+// --- CSV / TSV IO ---
+// Columns: id, name, days, parallel, start, end, predecessors, parent, unit, type, lag, parallel_ref,
+//          constraint, min_days, fit_locked, external, owner, assignees, status, progress, actual_start, actual_end
+// start / end: calculated dates, for parallel phases their own (fixed) dates; days: as entered
+// predecessors: "id:TYPE;id:TYPE", empty = list order (implicit), "-" = none
+// parent: id of the parent phase (empty = top level)
+// unit: bd / cd / hd / h or its label (営業日 / 暦日 / 半日 / 時間), empty = business days
+// type: milestone / buffer, empty = normal phase
+// parallel_ref: "id:side:edge:offset" (see Relative Parallel Phases), constraint: "TYPE:YYYY-MM-DD"
+// external: "timelineId/id:TYPE;..." links to other timelines, assignees: "personId:allocation;..."
+// When replacing, a phase whose id is already in the timeline keeps the fields of columns missing from the file.
+
+const CSV_COLUMNS = ['id', 'name', 'days', 'parallel', 'start', 'end', 'predecessors', 'parent', 'unit',
+    'type', 'lag', 'parallel_ref', 'constraint', 'min_days', 'fit_locked', 'external',
+    'owner', 'assignees', 'status', 'progress', 'actual_start', 'actual_end'];
+
+// Phase fields of the optional columns (files written before these columns existed leave them out)
+const CSV_OPTIONAL_FIELDS = {
+    type: ['type'], lag: ['lag'], parallel_ref: ['parallelRef'], constraint: ['constraint'],
+    min_days: ['minDays'], fit_locked: ['fitLocked'], external: ['externalPredecessors'],
+    owner: ['ownerId'], assignees: ['assignees'], status: ['status'], progress: ['percentComplete'],
+    actual_start: ['actualStartDate'], actual_end: ['actualEndDate']
+};
+
+// Header aliases (lower-cased) -> column
+const CSV_HEADER_ALIASES = {
+    id: 'id',
+    name: 'name', '工程': 'name', '工程名': 'name', '名前': 'name',
+    days: 'days', '日数': 'days', '営業日': 'days',
+    parallel: 'parallel', '並行': 'parallel', '並行作業': 'parallel',
+    start: 'start', '開始': 'start', '開始日': 'start',
+    end: 'end', '終了': 'end', '終了日': 'end', '完了': 'end', '完了日': 'end',
+    predecessors: 'predecessors', '前工程': 'predecessors', '依存': 'predecessors',
+    parent: 'parent', '親': 'parent', '親工程': 'parent',
+    unit: 'unit', '単位': 'unit',
+    type: 'type', '種別': 'type',
+    lag: 'lag', 'ラグ': 'lag',
+    parallel_ref: 'parallel_ref', '並行基準': 'parallel_ref',
+    constraint: 'constraint', '制約': 'constraint', '日付制約': 'constraint',
+    min_days: 'min_days', '最小日数': 'min_days',
+    fit_locked: 'fit_locked', '固定': 'fit_locked',
+    external: 'external', '他タイムライン': 'external',
+    owner: 'owner', 'オーナー': 'owner',
+    assignees: 'assignees', '担当者': 'assignees',
+    status: 'status', '状態': 'status',
+    progress: 'progress', '進捗': 'progress', '進捗率': 'progress',
+    actual_start: 'actual_start', '実績開始': 'actual_start', '実績開始日': 'actual_start',
+    actual_end: 'actual_end', '実績完了': 'actual_end', '実績完了日': 'actual_end'
+};
+
+// RFC 4180 style: quoted fields may contain delimiters, quotes ("") and newlines
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/)[0];
+    return firstLine.includes('\t') ? '\t' : ',';
+}
+
+function csvEscapeField(value, delimiter) {
+    const str = String(value);
+    return /["\r\n]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Accepts YYYY-MM-DD and spreadsheet style YYYY/M/D
+function normalizeImportedDate(value) {
+    const m = value.trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (!m) return null;
+    const str = `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+    return parseDateStr(str) ? str : null;
+}
+
+function parseBooleanCell(value) {
+    return ['1', 'true', 'yes', 'y', '○', '✓', 'x', '並行'].includes(value.trim().toLowerCase());
+}
+
+function serializePredecessors(phase) {
+    if (!Array.isArray(phase.predecessors)) return '';
+    if (!phase.predecessors.length) return '-';
+    return phase.predecessors.map(l => `${l.id}:${l.type}`).join(';');
+}
+
+function parsePredecessorsCell(value) {
+    const str = value.trim();
+    if (!str) return undefined;
+    if (str === '-') return [];
+    return str.split(';').map(s => s.trim()).filter(Boolean).map(s => {
+        const [id, type] = s.split(':');
+        return { id: id.trim(), type: DEPENDENCY_TYPES.includes((type || '').trim().toUpperCase()) ? type.trim().toUpperCase() : 'FS' };
+    });
+}
+
+function serializeParallelRef(phase) {
+    const ref = phase.isParallel && phase.parallelRef;
+    return ref ? `${ref.id}:${ref.side}:${ref.edge}:${parseInt(ref.offset) || 0}` : '';
+}
+
+function parseParallelRefCell(value) {
+    const [id, side, edge, offset] = value.trim().split(':').map(s => s.trim());
+    const isEdge = (v) => v === 'start' || v === 'end';
+    if (!id || !isEdge(side) || !isEdge(edge) || !/^[-+]?\d*$/.test(offset || '')) return null;
+    return { id, side, edge, offset: parseInt(offset) || 0 };
+}
+
+function serializeExternalPredecessors(phase) {
+    return getExternalPredecessors(phase).map(l => `${l.timelineId}/${l.id}:${l.type}`).join(';');
+}
+
+function parseExternalCell(value) {
+    const links = value.split(';').map(s => s.trim()).filter(Boolean).map(s => {
+        const m = s.match(/^([^/:]+)\/([^:]+)(?::(\w+))?$/);
+        if (!m) return null;
+        const type = (m[3] || 'FS').toUpperCase();
+        return DEPENDENCY_TYPES.includes(type) ? { timelineId: m[1].trim(), id: m[2].trim(), type } : null;
+    });
+    return links.includes(null) ? null : links;
+}
+
+function parseAssigneesCell(value) {
+    const list = value.split(';').map(s => s.trim()).filter(Boolean).map(s => {
+        const [personId, allocation] = s.split(':').map(v => v.trim());
+        const pct = allocation === undefined ? 100 : parseInt(allocation);
+        return personId && pct > 0 ? { personId, allocation: pct } : null;
+    });
+    return list.includes(null) ? null : list;
+}
+
+// Fields of the columns after `unit`; errors are reported per row like the others
+function parseExtraColumns(rec, phase, addError) {
+    if (rec.type) {
+        const type = rec.type.toLowerCase();
+        if (type === 'buffer' || rec.type === 'バッファ') {
+            if (!isMilestone(phase)) phase.type = 'buffer';
+        } else if (type === 'milestone' || rec.type === 'マイルストーン') {
+            phase.type = 'milestone';
+            phase.days = 0;
+        } else {
+            addError(`種別が不正です: ${rec.type}`);
+        }
+    }
+    if (rec.lag) {
+        const lag = parseInt(rec.lag);
+        if (isNaN(lag)) addError(`ラグが不正です: ${rec.lag}`);
+        else if (lag) phase.lag = lag;
+    }
+    if (rec.parallel_ref) {
+        const ref = parseParallelRefCell(rec.parallel_ref);
+        if (ref) phase.parallelRef = ref;
+        else addError(`並行基準が不正です: ${rec.parallel_ref}`);
+    }
+    if (rec.constraint) {
+        const [type, date] = rec.constraint.split(':').map(v => v.trim());
+        const normalized = date ? normalizeImportedDate(date) : null;
+        if (CONSTRAINT_TYPES[(type || '').toUpperCase()] && normalized) phase.constraint = { type: type.toUpperCase(), date: normalized };
+        else addError(`日付制約が不正です: ${rec.constraint}`);
+    }
+    if (rec.min_days && parseInt(rec.min_days) > 1) phase.minDays = parseInt(rec.min_days);
+    if (rec.fit_locked && parseBooleanCell(rec.fit_locked)) phase.fitLocked = true;
+    if (rec.external) {
+        const links = parseExternalCell(rec.external);
+        if (links) phase.externalPredecessors = links;
+        else addError(`他タイムラインの前工程が不正です: ${rec.external}`);
+    }
+    if (rec.owner) phase.ownerId = rec.owner;
+    if (rec.assignees) {
+        const assignees = parseAssigneesCell(rec.assignees);
+        if (assignees) phase.assignees = assignees;
+        else addError(`担当者が不正です: ${rec.assignees}`);
+    }
+    if (rec.status) {
+        const status = Object.keys(PHASE_STATUSES).find(k => k === rec.status.toLowerCase() || PHASE_STATUSES[k] === rec.status);
+        if (status) phase.status = status;
+        else addError(`状態が不正です: ${rec.status}`);
+    }
+    if (rec.progress && parseInt(rec.progress) > 0) phase.percentComplete = Math.min(100, parseInt(rec.progress));
+    [['actual_start', 'actualStartDate'], ['actual_end', 'actualEndDate']].forEach(([col, key]) => {
+        if (!rec[col]) return;
+        const date = normalizeImportedDate(rec[col]);
+        if (date) phase[key] = date;
+        else addError(`実績日が不正です: ${rec[col]}`);
+    });
+    if (phase.actualEndDate && !phase.actualStartDate) phase.actualStartDate = phase.actualEndDate;
+    // Started / finished phases are told apart by their actuals (see setPhaseStatus)
+    const needed = { 'in-progress': 'actualStartDate', done: 'actualEndDate' }[phase.status];
+    if (needed && !phase[needed]) {
+        addError(`状態「${PHASE_STATUSES[phase.status]}」には実績日が必要です`);
+        delete phase.status;
+    }
+}
+
+// Returns { phases, errors: [{ row, reason }], columns }
+function parsePhaseTable(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = parseDelimited(text.replace(/^\uFEFF/, ''), delimiter);
+    const errors = [];
+    if (!rows.length) return { phases: [], errors, columns: [] };
+
+    // With a header row columns may come in any order; without one: name, days, parallel, start, end
+    const header = rows[0].map(cell => CSV_HEADER_ALIASES[cell.trim().toLowerCase()]);
+    const hasHeader = header.includes('name');
+    const columns = hasHeader ? header : ['name', 'days', 'parallel', 'start', 'end'];
+    const body = hasHeader ? rows.slice(1) : rows;
+
+    const phases = [];
+    body.forEach((cells, i) => {
+        const rowNo = i + (hasHeader ? 2 : 1);
+        const rec = {};
+        columns.forEach((col, c) => {
+            if (col && cells[c] !== undefined) rec[col] = cells[c].trim();
+        });
+
+        if (!rec.name) {
+            errors.push({ row: rowNo, reason: '工程名がありません' });
+            return;
+        }
+
+        const phase = { id: rec.id || '', name: rec.name, days: Math.max(1, parseInt(rec.days) || 1) };
+        // 0 days = milestone
+        if (parseInt(rec.days) === 0) {
+            phase.type = 'milestone';
+            phase.days = 0;
+        }
+        if (rec.unit) {
+            const unit = Object.keys(DURATION_UNITS).find(u => u === rec.unit.toLowerCase() || DURATION_UNITS[u] === rec.unit);
+            if (unit) {
+                if (unit !== 'bd') phase.durationUnit = unit;
+            } else {
+                errors.push({ row: rowNo, reason: `単位が不正です: ${rec.unit}` });
+            }
+        }
+        if (rec.parallel && parseBooleanCell(rec.parallel)) {
+            phase.isParallel = true;
+            const start = rec.start ? normalizeImportedDate(rec.start) : null;
+            const end = rec.end ? normalizeImportedDate(rec.end) : null;
+            if ((rec.start && !start) || (rec.end && !end)) {
+                errors.push({ row: rowNo, reason: `日付が不正です: ${rec.start || ''} ${rec.end || ''}`.trim() });
+            }
+            if (start) phase.manualStartDate = start;
+            if (end) phase.manualEndDate = end;
+            if (start && end && !rec.days && !isMilestone(phase) && ['bd', 'cd'].includes(getDurationUnit(phase))) {
+                phase.days = getDaysDiff(new Date(start), new Date(end));
+            }
+        }
+        const preds = rec.predecessors !== undefined ? parsePredecessorsCell(rec.predecessors) : undefined;
+        if (preds !== undefined) phase.predecessors = preds;
+        if (rec.parent) phase.parentId = rec.parent;
+        parseExtraColumns(rec, phase, (reason) => errors.push({ row: rowNo, reason }));
+
+        phases.push(phase);
+    });
+
+    return { phases, errors, columns: columns.filter(Boolean) };
+}
+
+// Adds or replaces phases of a timeline. Ids from the file are kept when they are unique,
+// otherwise new ids are assigned and predecessor references follow.
+// columns: those present in the file; a replaced phase keeps the fields of the missing optional ones.
+function applyImportedPhases(data, imported, replace, columns = CSV_COLUMNS) {
+    const existing = replace ? [] : data.phases;
+    if (replace) {
+        const previous = new Map(data.phases.map(p => [p.id, p]));
+        const missing = Object.keys(CSV_OPTIONAL_FIELDS).filter(col => !columns.includes(col));
+        imported.forEach(p => {
+            const old = p.id && previous.get(p.id);
+            if (!old) return;
+            missing.forEach(col => CSV_OPTIONAL_FIELDS[col].forEach(key => {
+                if (old[key] !== undefined && p[key] === undefined) p[key] = old[key];
+            }));
+        });
+    }
+    const usedIds = new Set(existing.map(p => p.id));
+    const idMap = new Map();
+    let seq = Date.now();
+
+    imported.forEach(p => {
+        let id = p.id;
+        if (!id || usedIds.has(id)) id = String(seq++);
+        if (p.id) idMap.set(p.id, id);
+        usedIds.add(id);
+        p.id = id;
+    });
+    imported.forEach(p => {
+        if (p.parentId) p.parentId = idMap.get(p.parentId) || p.parentId;
+        if (p.parallelRef) {
+            p.parallelRef = { ...p.parallelRef, id: idMap.get(p.parallelRef.id) || p.parallelRef.id };
+            if (!usedIds.has(p.parallelRef.id)) delete p.parallelRef;
+        }
+        // References to other timelines and team members must still exist
+        if (p.externalPredecessors) {
+            p.externalPredecessors = p.externalPredecessors.filter(l => {
+                const timeline = appState.timelines.find(t => t.id === l.timelineId);
+                return timeline && timeline.data !== data && timeline.data.phases.some(q => q.id === l.id);
+            });
+            if (!p.externalPredecessors.length) delete p.externalPredecessors;
+        }
+        if (p.ownerId && !getTeamMember(p.ownerId)) delete p.ownerId;
+        if (p.assignees) {
+            p.assignees = p.assignees.filter(a => getTeamMember(a.personId));
+            if (!p.assignees.length) delete p.assignees;
+        }
+        if (!Array.isArray(p.predecessors)) return;
+        p.predecessors = p.predecessors
+            .map(l => ({ ...l, id: idMap.get(l.id) || l.id }))
+            .filter(l => usedIds.has(l.id));
+    });
+
+    data.phases = [...existing, ...imported];
+    normalizePhaseTree(data);
+    if (!data.phases.some(p => p.id === data.anchorPhaseId)) data.anchorPhaseId = data.phases[0]?.id || '';
+}
+
+function importPhaseTable(text, replace) {
+    const { phases, errors, columns } = parsePhaseTable(text);
+    if (errors.length) {
+        const list = errors.map(err => `行${err.row}: ${err.reason}`).join('\n');
+        if (!phases.length) {
+            alert(`読み込める工程がありません。\n${list}`);
+            return;
+        }
+        if (!confirm(`次の行に問題があります。残りの ${phases.length} 件を読み込みますか?\n${list}`)) return;
+    }
+    if (!phases.length) return;
+
+    const data = getActiveData();
+    const previous = data.phases;
+    const previousAnchor = data.anchorPhaseId;
+    applyImportedPhases(data, phases, replace, columns);
+
+    if (findDependencyCycle(data).length || findTimelineCycle(appState.activeTimelineId).length) {
+        data.phases = previous;
+        data.anchorPhaseId = previousAnchor;
+        alert("The imported dependencies contain a cycle.");
+        return;
+    }
+    // Replaced phases can no longer be referenced from other timelines
+    previous.filter(p => !data.phases.some(q => q.id === p.id))
+        .forEach(p => removeExternalReferences(appState.activeTimelineId, p.id));
+
+    saveState();
+    renderPhases();
+    updateSchedule();
+}
+
+function buildPhaseCsv(data) {
+    const schedule = calculateSchedule(data) || [];
+    const byId = new Map(schedule.map(item => [item.id, item]));
+    const lines = [CSV_COLUMNS.join(',')];
+
+    data.phases.forEach(phase => {
+        const item = byId.get(phase.id);
+        const cells = [
+            phase.id,
+            phase.name,
+            phase.days, // Stored value: summaries roll theirs up, parallel phases may derive it from dates
+            phase.isParallel ? 1 : 0,
+            // Parallel phases: the stored dates, read back as such (a relative one falls back to them)
+            phase.isParallel ? phase.manualStartDate || '' : item ? normalizeDateStr(item.startDate) : '',
+            phase.isParallel ? phase.manualEndDate || '' : item ? normalizeDateStr(item.endDate) : '',
+            serializePredecessors(phase),
+            phase.parentId || '',
+            getDurationUnit(phase),
+            isMilestone(phase) ? 'milestone' : isBuffer(phase) ? 'buffer' : '',
+            getLag(phase) || '',
+            serializeParallelRef(phase),
+            phase.constraint ? `${phase.constraint.type}:${phase.constraint.date}` : '',
+            phase.minDays || '',
+            phase.fitLocked ? 1 : '',
+            serializeExternalPredecessors(phase),
+            phase.ownerId || '',
+            (phase.assignees || []).map(a => `${a.personId}:${a.allocation}`).join(';'),
+            phase.status || '',
+            phase.percentComplete || '',
+            phase.actualStartDate || '',
+            phase.actualEndDate || ''
+        ];
+        lines.push(cells.map(v => csvEscapeField(v, ',')).join(','));
+    });
+
+    // BOM so spreadsheet apps read UTF-8 correctly
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function exportPhaseCsv() {
+    const timeline = getActiveTimeline();
+    const name = timeline.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+    downloadFile(buildPhaseCsv(timeline.data), `phases-${name}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+}
+
+function importPhaseFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const replace = confirm("Replace the current phases? (Cancel = append)");
+        importPhaseTable(e.target.result, replace);
+    };
+    reader.readAsText(file);
+}